@@ -0,0 +1,13 @@
+'use strict';
+
+// Runs the expectimax search off the main thread so animations and input stay smooth.
+// Request: { id, board, spawnTable, depth, timeMs, played? }. Reply: { id, direction, scores, depth },
+// plus Ai3072.analyzeMove's fields when `played` names the direction actually chosen.
+importScripts('engine.js', 'ai.js');
+
+self.onmessage = (e) => {
+	const { id, board, spawnTable, depth, timeMs, played } = e.data || {};
+	const options = { spawnTable, depth, timeMs };
+	const result = played ? Ai3072.analyzeMove(board, played, options) : Ai3072.searchBestMove(board, options);
+	self.postMessage({ id, ...result });
+};
@@ -0,0 +1,177 @@
+'use strict';
+
+// Expectimax move search over the engine rules. DOM-free: used by ai-worker.js in the page
+// (self.Ai3072) and with require() in Node for bots and tests.
+(function (root, factory) {
+	const engine = typeof module === 'object' && module.exports ? require('./engine.js') : root.Engine3072;
+	const api = factory(engine);
+	if (typeof module === 'object' && module.exports) module.exports = api;
+	else root.Ai3072 = api;
+})(typeof globalThis !== 'undefined' ? globalThis : this, function (Engine) {
+
+	const { DIRECTIONS, slideBoard, getEmptyCells, canMergeSpecial } = Engine;
+
+	const DEFAULT_DEPTH = 3; // max nodes (player moves) searched
+	const DEFAULT_TIME_MS = 250;
+	const PROB_CUTOFF = 1e-4; // chance branches less likely than this are scored by the heuristic
+	const MAX_SPAWN_CELLS = 6; // chance nodes sample at most this many empty cells
+
+	const WEIGHTS = Object.freeze({ empty: 2.7, merges: 1.0, monotonicity: 0.47, maxCorner: 1.0 });
+
+	// Special tiles (negative codes) rank like empty cells
+	function rank(v) {
+		return v > 0 ? Math.log2(v) : 0;
+	}
+
+	// Whether neighbours `a` and `b` could merge under the engine rules
+	function canMerge(a, b) {
+		if (!a || !b) return false;
+		return a < 0 || b < 0 ? canMergeSpecial(a, b) : a === b;
+	}
+
+	// The parts of the heuristic: empty cells, neighbouring tiles that could merge (merges), how far
+	// rows and columns are from monotone (monotonicity, a penalty) and the rank of the largest tile
+	// when it sits in a corner (0 otherwise).
+	function features(board) {
+		const size = board.length;
+		let empty = 0;
+		let merges = 0;
+		let monoPenalty = 0;
+		let max = 0;
+		for (let i = 0; i < size; i++) {
+			let incRow = 0, decRow = 0, incCol = 0, decCol = 0;
+			for (let j = 0; j < size; j++) {
+				const v = board[i][j];
+				if (v === 0) empty++;
+				if (v > max) max = v;
+				if (j + 1 < size) {
+					const right = board[i][j + 1];
+					const down = board[j + 1][i];
+					if (canMerge(v, right)) merges++;
+					if (canMerge(board[j][i], down)) merges++;
+					const dr = rank(v) - rank(right);
+					const dc = rank(board[j][i]) - rank(down);
+					if (dr > 0) decRow += dr; else incRow -= dr;
+					if (dc > 0) decCol += dc; else incCol -= dc;
+				}
+			}
+			monoPenalty += Math.min(incRow, decRow) + Math.min(incCol, decCol);
+		}
+		const last = size - 1;
+		const corner = [board[0][0], board[0][last], board[last][0], board[last][last]].includes(max) ? rank(max) : 0;
+		return { empty, merges, monotonicity: monoPenalty, corner };
+	}
+
+	// Heuristic value of a board: empty cells, merge potential, monotone rows/columns and a
+	// bonus for keeping the largest tile in a corner.
+	function evaluate(board) {
+		const f = features(board);
+		return WEIGHTS.empty * f.empty + WEIGHTS.merges * f.merges - WEIGHTS.monotonicity * f.monotonicity + WEIGHTS.maxCorner * f.corner;
+	}
+
+	function boardKey(board) {
+		return board.map(row => row.join(',')).join('/');
+	}
+
+	// Picks the best direction for `board`. Options: depth (max), timeMs (budget for iterative
+	// deepening), spawnTable ([{ value, weight }]). Returns { direction, scores, depth } where
+	// direction is null when no move is possible and scores maps each legal direction to its value.
+	function searchBestMove(board, options = {}) {
+		const maxDepth = Math.max(1, options.depth || DEFAULT_DEPTH);
+		const timeMs = options.timeMs != null ? options.timeMs : DEFAULT_TIME_MS;
+		const table = options.spawnTable && options.spawnTable.length ? options.spawnTable : [{ value: 3, weight: 1 }];
+		const total = table.reduce((sum, e) => sum + e.weight, 0);
+		const spawns = table.filter(e => e.weight > 0).map(e => ({ value: e.value, p: e.weight / total }));
+		const deadline = Date.now() + timeMs;
+
+		let best = { direction: null, scores: {}, depth: 0 };
+		for (let depth = 1; depth <= maxDepth; depth++) {
+			const cache = new Map();
+			let timedOut = false;
+
+			const maxNode = (b, d, prob) => {
+				let bestValue = -Infinity;
+				for (const dir of DIRECTIONS) {
+					const res = slideBoard(b, dir);
+					if (!res.moved) continue;
+					const v = chanceNode(res.board, d, prob);
+					if (v > bestValue) bestValue = v;
+				}
+				return bestValue === -Infinity ? evaluate(b) - 1000 : bestValue; // no moves: game over
+			};
+
+			const chanceNode = (b, d, prob) => {
+				if (d <= 1 || prob < PROB_CUTOFF) return evaluate(b);
+				if (Date.now() > deadline) { timedOut = true; return evaluate(b); }
+				const key = `${d}|${boardKey(b)}`;
+				if (cache.has(key)) return cache.get(key);
+				let cells = getEmptyCells(b);
+				if (cells.length === 0) return evaluate(b);
+				if (cells.length > MAX_SPAWN_CELLS) {
+					// Deterministic stride sample keeps results stable for the same board
+					const step = cells.length / MAX_SPAWN_CELLS;
+					cells = Array.from({ length: MAX_SPAWN_CELLS }, (_, i) => cells[Math.floor(i * step)]);
+				}
+				let sum = 0;
+				const cellP = 1 / cells.length;
+				for (const [r, c] of cells) {
+					for (const s of spawns) {
+						b[r][c] = s.value;
+						sum += s.p * maxNode(b, d - 1, prob * cellP * s.p);
+						b[r][c] = 0;
+					}
+				}
+				const value = sum * cellP;
+				cache.set(key, value);
+				return value;
+			};
+
+			const scores = {};
+			let direction = null;
+			let bestValue = -Infinity;
+			for (const dir of DIRECTIONS) {
+				const res = slideBoard(board, dir);
+				if (!res.moved) continue;
+				const v = chanceNode(res.board, depth, 1);
+				scores[dir] = v;
+				if (v > bestValue) { bestValue = v; direction = dir; }
+			}
+			// A partially searched depth is only trusted when nothing better exists
+			if (!timedOut || best.direction === null) best = { direction, scores, depth };
+			if (timedOut || direction === null) break;
+		}
+		return best;
+	}
+
+	// How much worse than the best move a played move may score before it is flagged; one empty
+	// cell is worth WEIGHTS.empty.
+	const INACCURACY_LOSS = 3;
+	const BLUNDER_LOSS = 8;
+
+	// Judges `played`, the direction chosen on `board`, against a search with the same options as
+	// searchBestMove. Returns the search result plus { played, loss, grade, features } where loss
+	// is how far the played move scores below the best one and grade is 'best', 'good',
+	// 'inaccuracy' or 'blunder'. Moves the search could not score (illegal ones) get grade null.
+	function analyzeMove(board, played, options = {}) {
+		const result = searchBestMove(board, options);
+		const base = { ...result, played, features: features(board) };
+		if (!(played in result.scores)) return { ...base, loss: null, grade: null };
+		const loss = Math.max(0, result.scores[result.direction] - result.scores[played]);
+		let grade = 'good';
+		if (played === result.direction || loss === 0) grade = 'best';
+		else if (loss >= BLUNDER_LOSS) grade = 'blunder';
+		else if (loss >= INACCURACY_LOSS) grade = 'inaccuracy';
+		return { ...base, loss, grade };
+	}
+
+	return {
+		DEFAULT_DEPTH,
+		DEFAULT_TIME_MS,
+		INACCURACY_LOSS,
+		BLUNDER_LOSS,
+		features,
+		evaluate,
+		searchBestMove,
+		analyzeMove,
+	};
+});
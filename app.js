@@ -1,73 +1,385 @@
 'use strict';
 
+const { Direction, DIRECTIONS, Special, Game, MoveHistory, cloneBoard, hashSeed, getEmptyCells, maxTile, MIN_SIZE, MAX_SIZE, validateVariant } = Engine3072;
+const { createReplay, recordMove, encodeReplay, decodeReplay, buildTimeline } = Replay3072;
+const { SAVE_VERSION, parseSave, migrateSave, validateSave } = Save3072;
+const { createI18n, matchLocale } = I18n3072;
+const { GameManager } = Manager3072;
+const { CHALLENGES, CHALLENGE_IDS, bestKey, isNewBest } = Challenge3072;
+const { LEVELS, PuzzleError, validateLevel, exportLevel, parseLevel, parseSpawnScript, formatSpawnScript } = Puzzle3072;
+const { AVATAR_COLORS, NAME_MAX: PROFILE_NAME_MAX, isValidProfile, filterResults, sortResults, toCsv, openStore: openLeaderboardStore } = Leaderboard3072;
+
 // Constants
 const BOARD_SIZE = 5;
 const TARGET_VALUE = 3072;
 const NEW_TILE_VALUE = 3;
 const STORAGE_KEY = 'game-3072-state';
+const SETTINGS_KEY = 'game-3072-settings';
+const STATS_KEY = 'game-3072-stats';
+const DAILY_KEY = 'game-3072-daily'; // in-progress daily challenge, separate from STORAGE_KEY
+const DAILY_STATS_KEY = 'game-3072-daily-stats';
+const CHALLENGE_BESTS_KEY = 'game-3072-challenge-bests';
+const PUZZLE_PROGRESS_KEY = 'game-3072-puzzles'; // best result per built-in level
+const PUZZLE_DRAFT_KEY = 'game-3072-puzzle-draft'; // level editor contents
+const SLOTS_KEY = 'game-3072-slots'; // named manual saves; the autosave stays in STORAGE_KEY
+const MAX_SLOTS = 20;
+const VARIANT_PRESETS = Object.freeze({
+	classic3072: { size: BOARD_SIZE, tileValue: NEW_TILE_VALUE, target: TARGET_VALUE, spawnTable: [{ value: NEW_TILE_VALUE, weight: 1 }] },
+	classic2048: { size: 4, tileValue: 2, target: 2048, spawnTable: [{ value: 2, weight: 9 }, { value: 4, weight: 1 }] },
+	specials3072: {
+		size: BOARD_SIZE, tileValue: NEW_TILE_VALUE, target: TARGET_VALUE, spawnTable: [{ value: NEW_TILE_VALUE, weight: 1 }],
+		specials: { stone: 0.04, wildcard: 0.04, bomb: 0.02 },
+	},
+});
+// Special tiles (engine Special codes): CSS class suffix and symbol
+// `color` and `emoji` stand in for the CSS tile styles on share cards.
+const SPECIAL_TILES = Object.freeze({
+	[Special.Stone]: { name: 'stone', symbol: '', color: '#6b7280', emoji: '🪨' },
+	[Special.Wildcard]: { name: 'wildcard', symbol: '★', color: '#a78bfa', emoji: '🌟' },
+	[Special.Bomb]: { name: 'bomb', symbol: '💣', color: '#1f2937', emoji: '💣' },
+});
+// Key bindings: one key per action, compared against normalizeKey(event)
+const KEY_PRESETS = Object.freeze({
+	arrows: { [Direction.Up]: 'ArrowUp', [Direction.Down]: 'ArrowDown', [Direction.Left]: 'ArrowLeft', [Direction.Right]: 'ArrowRight', undo: 'u', restart: 'r' },
+	wasd: { [Direction.Up]: 'w', [Direction.Down]: 's', [Direction.Left]: 'a', [Direction.Right]: 'd', undo: 'z', restart: 'r' },
+	hjkl: { [Direction.Up]: 'k', [Direction.Down]: 'j', [Direction.Left]: 'h', [Direction.Right]: 'l', undo: 'u', restart: 'r' },
+});
+const DEFAULT_SETTINGS = Object.freeze({
+	historyDepth: 100, // undo/redo entries kept per game
+	undoLimit: null, // undos allowed per game; null = unlimited
+	variant: VARIANT_PRESETS.classic3072, // rules used by Restart / new games
+	aiDepth: 3, // expectimax depth for hints and autoplay
+	aiTimeMs: 250, // search time budget per move
+	autoplayDelay: 300, // pause between autoplay moves
+	keys: KEY_PRESETS.arrows,
+	inputMode: 'queued', // moves pressed during an animation: 'queued', 'drop' or 'instant' (no animation)
+	animation: null, // key of ANIMATION_SPEEDS; null follows prefers-reduced-motion
+	volume: 0.6, // 0..1
+	muted: false,
+	haptics: true, // navigator.vibrate on merges and game over
+	theme: null, // key of THEMES; null follows prefers-color-scheme
+	language: null, // catalog locale; null follows navigator.languages
+	profileId: null, // leaderboard profile that new games are credited to
+});
+const ANIMATION_SPEEDS = Object.freeze({ off: 0, fast: 0.5, normal: 1, slow: 1.75 }); // duration multipliers
+const reducedMotionQuery = window.matchMedia ? window.matchMedia('(prefers-reduced-motion: reduce)') : null;
+const darkSchemeQuery = window.matchMedia ? window.matchMedia('(prefers-color-scheme: dark)') : null;
+// Tile palettes as [hue, saturation %, lightness %] per rank above the base tile; tileColors()
+// extends them past the last entry. `text` is the dark text color used on light tiles.
+const THEMES = Object.freeze({
+	light: {
+		text: '#776e65',
+		meta: '#4f46e5',
+		tiles: [[30, 37, 89], [39, 52, 86], [28, 82, 71], [20, 88, 67], [12, 89, 67], [11, 91, 60], [45, 77, 69], [46, 80, 65],
+			[45, 81, 62], [46, 83, 59], [46, 84, 55], [273, 60, 70], [267, 72, 63], [267, 53, 51], [266, 57, 38]],
+	},
+	dark: {
+		text: '#111827',
+		meta: '#111827',
+		tiles: [[220, 14, 34], [215, 16, 42], [28, 55, 45], [20, 60, 45], [12, 60, 45], [8, 65, 42], [45, 55, 42], [45, 60, 45],
+			[45, 65, 48], [45, 70, 50], [45, 80, 52], [273, 40, 52], [267, 45, 46], [267, 45, 40], [266, 45, 34]],
+	},
+	contrast: {
+		text: '#000000',
+		meta: '#000000',
+		tiles: [[0, 0, 100], [60, 100, 50], [30, 100, 50], [0, 100, 62], [300, 100, 65], [200, 100, 60], [120, 100, 45],
+			[180, 100, 45], [45, 100, 70], [330, 100, 75], [90, 100, 60], [0, 0, 80]],
+	},
+	// Viridis, light to dark: ranks stay apart by lightness alone, whatever the color vision
+	colorblind: {
+		text: '#1f2937',
+		meta: '#31688e',
+		tiles: [[54, 98, 57], [74, 73, 52], [109, 55, 58], [151, 55, 46], [170, 67, 37], [187, 58, 35], [205, 49, 37],
+			[232, 38, 39], [263, 50, 31], [286, 98, 17]],
+	},
+});
 
 // State
-let board = createEmptyBoard(); // 5x5, zeros
-let moveCount = 0;
+let settings = loadSettings();
+const i18n = createI18n({ catalogs: I18nCatalogs, locale: settings.language || browserLocale(), debug: isDevBuild() });
+let game = createGame(); // board, steps and spawn RNG live in the engine
+let moveHistory = createHistory();
+let stats = loadStats();
+let recordedMaxTile = 0; // max tile this game was counted with in stats; 0 = not counted yet
+let keepPlaying = false; // player chose "Continue" after winning
+let milestone = 0; // highest tile announced with a milestone toast in endless play
+let run = newRun(); // leaderboard entry of the current game: { profileId, undoUsed, won, resultId }
+let replay = createReplay(game); // recording of the current game
+let replayView = null; // replay viewer state while watching; the live game is parked in replayView.liveGame
+let mode = 'classic'; // 'classic', 'daily', 'challenge' or 'puzzle'; decides which save slot the current game uses
+let dailyDate = null; // local date (YYYY-MM-DD) of the daily game being played
+let dailyStats = loadDailyStats();
+let challenge = null; // running challenge: { id, optionIndex, option, elapsed, since, paused, timer, result }
+let challengeBests = loadChallengeBests();
+let puzzle = null; // running puzzle: { level, index (in LEVELS, -1 when test-playing the editor level), result }
+let puzzleProgress = loadPuzzleProgress();
+let slots = loadSlots();
+let profiles = []; // leaderboard players from IndexedDB: [{ id, name, color }]
+let leaderboardStore = null; // Leaderboard3072 store once opened; false when IndexedDB is unavailable
+let leaderboardResults = [];
+let match = null; // local multiplayer match on screen: { manager, views }; the solo game waits underneath
 let inputLocked = false;
+let moveToken = 0; // bumped when `game` is replaced; a move still animating for the old game stands down
+const inputQueue = []; // directions pressed while a move was animating (inputMode 'queued')
+const INPUT_QUEUE_LIMIT = 4;
 let lastDirection = null;
-const SLIDE_MS = 200; // slowed down for smoother motion
+let activeCell = { r: 0, c: 0 }; // board cell holding the roving tabindex
+const SLIDE_MS = 200; // slowed down for smoother motion; durations are for the 'normal' speed
 const GROUP_MS = 220;
 
 // Elements
 const boardEl = document.getElementById('board');
 const moveCountEl = document.getElementById('moveCount');
+const scoreEl = document.getElementById('score');
+const bestScoreEl = document.getElementById('bestScore');
 const restartBtn = document.getElementById('restartBtn');
 const modalEl = document.getElementById('modal');
 const modalTitleEl = document.getElementById('modalTitle');
 const modalMessageEl = document.getElementById('modalMessage');
 const playAgainBtn = document.getElementById('playAgainBtn');
+const continueBtn = document.getElementById('continueBtn');
+const toastEl = document.getElementById('toast');
+const undoBtn = document.getElementById('undoBtn');
+const redoBtn = document.getElementById('redoBtn');
+const undoLeftEl = document.getElementById('undoLeft');
 const liveEl = document.getElementById('live');
 
 // Utilities
-function createEmptyBoard() {
-	return Array.from({ length: BOARD_SIZE }, () => Array(BOARD_SIZE).fill(0));
+// Restored games keep their own special tiles (or none) whatever the current settings say.
+function createGame(snapshot) {
+	return new Game(snapshot ? { ...settings.variant, specials: null, ...snapshot } : { ...settings.variant });
 }
 
-function cloneBoard(b) {
-	return b.map(row => row.slice());
+// New games take the undo limit from settings; saved ones keep theirs (older saves have none stored).
+function createHistory(saved) {
+	const undoLimit = saved && saved.undoLimit !== undefined ? saved.undoLimit : settings.undoLimit;
+	return new MoveHistory({ limit: settings.historyDepth, ...saved, undoLimit });
 }
 
-function getEmptyCells(b) {
-	const cells = [];
-	for (let r = 0; r < BOARD_SIZE; r++) {
-		for (let c = 0; c < BOARD_SIZE; c++) {
-			if (b[r][c] === 0) cells.push([r, c]);
-		}
+function t(key, params) {
+	return i18n.t(key, params);
+}
+
+function browserLocale() {
+	const langs = navigator.languages && navigator.languages.length ? navigator.languages : [navigator.language];
+	return matchLocale(langs, Object.keys(I18nCatalogs));
+}
+
+// Local servers and `?debug` report missing translations in the console.
+function isDevBuild() {
+	return /^(localhost|127\.0\.0\.1|\[::1\])$/.test(location.hostname) || /[?&]debug\b/.test(location.search);
+}
+
+function loadSettings() {
+	try {
+		const raw = localStorage.getItem(SETTINGS_KEY);
+		return { ...DEFAULT_SETTINGS, ...(raw ? JSON.parse(raw) : {}) };
+	} catch (_) {
+		return { ...DEFAULT_SETTINGS };
 	}
-	return cells;
 }
 
-function randomChoice(arr) {
-	return arr[Math.floor(Math.random() * arr.length)];
+function saveSettings() {
+	try {
+		localStorage.setItem(SETTINGS_KEY, JSON.stringify(settings));
+	} catch (_) {}
+}
+
+// Everything needed to resume the current game; shared by the autosave and the save slots.
+function currentSave() {
+	return { version: SAVE_VERSION, ...game.snapshot(), history: moveHistory.toJSON(), recordedMaxTile, keepPlaying, milestone, replay, run };
 }
 
 function saveState() {
+	if (dailyFinished() || mode === 'challenge' || mode === 'puzzle') return; // today's attempt is over; challenge and puzzle runs are never saved
 	try {
-		const data = { board, moveCount };
-		localStorage.setItem(STORAGE_KEY, JSON.stringify(data));
+		const data = currentSave();
+		if (mode === 'daily') data.date = dailyDate;
+		localStorage.setItem(mode === 'daily' ? DAILY_KEY : STORAGE_KEY, JSON.stringify(data));
 	} catch (_) {}
 }
 
-function loadState() {
+// `date` is only given for the daily slot: a save from another day is ignored.
+// Saves that fail validation (see savefile.js) are backed up and reported to the player.
+function loadState(key = STORAGE_KEY, date = null) {
+	let raw;
 	try {
-		const raw = localStorage.getItem(STORAGE_KEY);
-		if (!raw) return false;
-		const data = JSON.parse(raw);
-		if (!data || !Array.isArray(data.board)) return false;
-		board = data.board;
-		moveCount = data.moveCount || 0;
-		return true;
+		raw = localStorage.getItem(key);
 	} catch (_) {
+		return false; // storage unavailable: play without persistence
+	}
+	if (!raw) return false;
+	let data;
+	try {
+		data = parseSave(raw);
+	} catch (err) {
+		rejectSave(key, raw, err);
+		return false;
+	}
+	if (date && data.date !== date) return false;
+	try {
+		restoreSave(data);
+		return true;
+	} catch (err) {
+		rejectSave(key, raw, err);
 		return false;
 	}
 }
 
+// Makes a validated save (see parseSave) the current game. Throws if the engine rejects it.
+function restoreSave(data) {
+	game = createGame({
+		size: data.size,
+		target: data.target,
+		tileValue: data.tileValue,
+		spawnTable: data.spawnTable,
+		specials: data.specials,
+		board: data.board,
+		moveCount: data.moveCount || 0,
+		score: data.score || 0,
+		seed: data.seed,
+		rngState: data.rngState,
+	});
+	moveHistory = createHistory(data.history);
+	cancelPendingMoves();
+	if (data.date) moveHistory.undoLimit = 0; // daily games never allow undo
+	recordedMaxTile = data.recordedMaxTile || 0;
+	keepPlaying = !!data.keepPlaying;
+	milestone = data.milestone || 0;
+	// Saves from before recordings existed start their recording from the restored board
+	replay = data.replay || createReplay(game);
+	run = data.run || newRun();
+}
+
+// Keeps the rejected data under `<key>-backup` and tells the player why a new game started.
+function rejectSave(key, raw, err) {
+	console.warn('Rejected saved game', key, err);
+	try {
+		localStorage.setItem(`${key}-backup`, raw);
+		localStorage.removeItem(key);
+	} catch (_) {}
+	showNotice(t('saveRejected', { reason: saveErrorReason(err) }));
+}
+
+function saveErrorReason(err) {
+	return t(`saveErrors.${err && i18n.has(`saveErrors.${err.code}`) ? err.code : 'parse'}`);
+}
+
+// `action` ({ label, run }) adds a button next to the message, e.g. "Reload" for updates.
+function showNotice(text, action = null) {
+	const el = document.getElementById('notice');
+	const textEl = document.getElementById('noticeText');
+	if (!el || !textEl) return;
+	textEl.textContent = text;
+	const actionBtn = document.getElementById('noticeAction');
+	if (actionBtn) {
+		actionBtn.hidden = !action;
+		actionBtn.textContent = action ? action.label : '';
+		actionBtn.onclick = action ? action.run : null;
+	}
+	el.hidden = false;
+	announce(text);
+}
+
+// Stats
+function emptyStats() {
+	return { bestScore: 0, gamesPlayed: 0, wins: 0, fastestWin: null, highestTile: 0, maxTiles: {} };
+}
+
+function loadStats() {
+	try {
+		const raw = localStorage.getItem(STATS_KEY);
+		return { ...emptyStats(), ...(raw ? JSON.parse(raw) : {}) };
+	} catch (_) {
+		return emptyStats();
+	}
+}
+
+function saveStats() {
+	try {
+		localStorage.setItem(STATS_KEY, JSON.stringify(stats));
+	} catch (_) {}
+}
+
+function updateBestScore() {
+	if (mode !== 'classic' || game.score <= stats.bestScore) return;
+	stats.bestScore = game.score;
+	saveStats();
+}
+
+// Each game is counted once, even if undone and finished again. A game continued
+// after winning keeps its win and only moves its histogram entry to the new max tile.
+function recordGameResult(won) {
+	const maxTile = game.maxTile();
+	if (recordedMaxTile) {
+		if (maxTile <= recordedMaxTile) return;
+		stats.maxTiles[recordedMaxTile] -= 1;
+		if (stats.maxTiles[recordedMaxTile] <= 0) delete stats.maxTiles[recordedMaxTile];
+		stats.maxTiles[maxTile] = (stats.maxTiles[maxTile] || 0) + 1;
+		stats.highestTile = Math.max(stats.highestTile, maxTile);
+		recordedMaxTile = maxTile;
+		updateBestScore();
+		saveStats();
+		saveState();
+		renderStats();
+		return;
+	}
+	recordedMaxTile = maxTile;
+	stats.gamesPlayed += 1;
+	if (won) {
+		stats.wins += 1;
+		if (stats.fastestWin == null || game.moveCount < stats.fastestWin) stats.fastestWin = game.moveCount;
+	}
+	stats.highestTile = Math.max(stats.highestTile, maxTile);
+	stats.maxTiles[maxTile] = (stats.maxTiles[maxTile] || 0) + 1;
+	updateBestScore();
+	saveStats();
+	saveState();
+	renderStats();
+}
+
+function resetStats() {
+	stats = emptyStats();
+	saveStats();
+	renderStats();
+	renderBoard();
+}
+
+function renderStats() {
+	const set = (id, text) => { const el = document.getElementById(id); if (el) el.textContent = text; };
+	set('statPlayed', i18n.formatNumber(stats.gamesPlayed));
+	set('statWins', i18n.formatNumber(stats.wins));
+	set('statWinRate', stats.gamesPlayed ? i18n.formatNumber(stats.wins / stats.gamesPlayed, { style: 'percent' }) : '—');
+	set('statFastest', stats.fastestWin == null ? '—' : i18n.formatNumber(stats.fastestWin));
+	set('statHighest', stats.highestTile ? String(stats.highestTile) : '—');
+
+	const histEl = document.getElementById('statHistogram');
+	if (!histEl) return;
+	histEl.innerHTML = '';
+	const entries = Object.entries(stats.maxTiles).map(([v, n]) => [Number(v), n]).sort((a, b) => b[0] - a[0]);
+	if (entries.length === 0) {
+		histEl.textContent = t('statsEmpty');
+		return;
+	}
+	const peak = Math.max(...entries.map(([, n]) => n));
+	for (const [value, count] of entries) {
+		const row = document.createElement('div');
+		row.className = 'hist-row';
+		const label = document.createElement('span');
+		label.className = 'hist-label';
+		label.textContent = String(value);
+		const bar = document.createElement('span');
+		bar.className = 'hist-bar';
+		paintTile(bar, value);
+		bar.style.width = `${Math.max(4, (count / peak) * 100)}%`;
+		const num = document.createElement('span');
+		num.className = 'hist-count';
+		num.textContent = i18n.formatNumber(count);
+		row.append(label, bar, num);
+		histEl.appendChild(row);
+	}
+}
+
 function announce(text) {
 	if (!liveEl) return;
 	liveEl.textContent = '';
@@ -77,54 +389,172 @@ function announce(text) {
 
 // Rendering
 function renderBoard(prevBoard, options = {}) {
-	const { spawned = [], merged = [], moves = [] } = options;
+	const { merged = [], cleared = [], moves = [] } = options;
+	const animating = prevBoard && moves && moves.length > 0;
+	const hadFocus = boardEl.contains(document.activeElement) && document.activeElement !== boardEl;
+	if (activeCell.r >= game.size || activeCell.c >= game.size) activeCell = { r: 0, c: 0 };
+	drawBoard(boardEl, game, prevBoard, { ...options, focus: activeCell });
+	if (hadFocus) focusCell(activeCell.r, activeCell.c);
+
+	if (!animating && merged && merged.length) {
+		addMergePulse(boardEl, merged);
+	}
+	if (!animating && cleared.length) addBlastFlash(boardEl, cleared);
+
+	renderCounters();
+	updateHistoryControls();
+}
+
+// Draws `g` into a board element; used for the solo board and every match board. `focus`
+// ({ r, c }) is the cell holding the roving tabindex, if any. With `moves`, cells are left empty
+// for animateSlides() to fill.
+function drawBoard(el, g, prevBoard, options = {}) {
+	const { spawned = [], moves = [], focus = null } = options;
 	const animating = prevBoard && moves && moves.length > 0;
-	boardEl.innerHTML = '';
-	boardEl.setAttribute('aria-rowcount', String(BOARD_SIZE));
-	boardEl.setAttribute('aria-colcount', String(BOARD_SIZE));
+	el.innerHTML = '';
+	const size = g.size;
+	el.style.setProperty('--cells', String(size));
+	el.setAttribute('aria-rowcount', String(size));
+	el.setAttribute('aria-colcount', String(size));
 
-	if (!boardEl.classList.contains('with-overlay')) {
-		boardEl.classList.add('with-overlay');
+	if (!el.classList.contains('with-overlay')) {
+		el.classList.add('with-overlay');
 	}
 
-	for (let r = 0; r < BOARD_SIZE; r++) {
-		for (let c = 0; c < BOARD_SIZE; c++) {
-			const value = board[r][c];
+	// Rows use display: contents so cells stay items of the board's CSS grid
+	for (let r = 0; r < size; r++) {
+		const row = document.createElement('div');
+		row.className = 'board-row';
+		row.setAttribute('role', 'row');
+		row.setAttribute('aria-rowindex', String(r + 1));
+		for (let c = 0; c < size; c++) {
+			const value = g.board[r][c];
 			const cell = document.createElement('div');
-			cell.setAttribute('role', 'gridcell');
-			cell.setAttribute('aria-rowindex', String(r + 1));
-			cell.setAttribute('aria-colindex', String(c + 1));
 			if (animating || value === 0) {
 				cell.className = 'cell-empty';
-				boardEl.appendChild(cell);
-				continue;
+			} else {
+				fillTile(cell, value, g);
+				if (animationScale() && spawned.some(([sr, sc]) => sr === r && sc === c)) cell.classList.add('spawn');
+				// merged pulse will be applied later via addMergePulse to avoid flicker
 			}
-			const tile = document.createElement('div');
-			tile.className = `tile ${tileClass(value)}`;
-			tile.textContent = String(value);
-			const len = String(value).length;
-			tile.style.fontSize = len <= 2 ? '1.6rem' : len === 3 ? '1.3rem' : '1.1rem';
-			if (spawned.some(([sr, sc]) => sr === r && sc === c)) tile.classList.add('spawn');
-			// merged pulse will be applied later via addMergePulse to avoid flicker
-			tile.dataset.row = String(r);
-			tile.dataset.col = String(c);
-			boardEl.appendChild(tile);
+			cell.setAttribute('role', 'gridcell');
+			cell.setAttribute('aria-colindex', String(c + 1));
+			cell.dataset.row = String(r);
+			cell.dataset.col = String(c);
+			cell.tabIndex = focus && r === focus.r && c === focus.c ? 0 : -1;
+			row.appendChild(cell);
 		}
+		el.appendChild(row);
 	}
+	labelCells(el, g);
+}
 
-	if (!animating && merged && merged.length) {
-		addMergePulse(merged);
-	}
+function renderCounters() {
+	moveCountEl.textContent = i18n.formatNumber(game.moveCount);
+	if (scoreEl) scoreEl.textContent = i18n.formatNumber(game.score);
+	if (bestScoreEl) bestScoreEl.textContent = i18n.formatNumber(Math.max(stats.bestScore, game.score));
+	renderChallengeClock();
+	renderPuzzleBar();
+	renderProfileBar();
+}
+
+// Accessible names come from the game state, so placeholder cells during a slide read correctly too.
+function labelCells(el = boardEl, g = game) {
+	el.querySelectorAll('[role="gridcell"]').forEach((cell) => {
+		const r = Number(cell.dataset.row);
+		const c = Number(cell.dataset.col);
+		cell.setAttribute('aria-label', t('cellLabel', { row: r + 1, col: c + 1, value: cellText(g.board[r][c]) }));
+	});
+}
+
+// Tile values are read as written on the tiles, without digit grouping.
+function cellText(value) {
+	if (SPECIAL_TILES[value]) return t(`specialTiles.${SPECIAL_TILES[value].name}`);
+	return value ? String(value) : t('emptyCell');
+}
+
+function tileClass(value) {
+	return SPECIAL_TILES[value] ? `tile tile-${SPECIAL_TILES[value].name}` : 'tile';
+}
+
+// Class, colors and text for a tile element showing `value` on game `g`'s board. Special tiles
+// take their colors from CSS.
+function fillTile(el, value, g = game) {
+	const special = SPECIAL_TILES[value];
+	el.className = tileClass(value);
+	if (!special) paintTile(el, value, g.tileValue);
+	else ['--tile-bg', '--tile-fg'].forEach(prop => el.style.removeProperty(prop));
+	el.textContent = special ? special.symbol : String(value);
+	el.style.fontSize = tileFontSize(special ? special.symbol : value, g.size);
+}
+
+function boardCell(r, c) {
+	return boardEl.querySelector(`[role="gridcell"][data-row="${r}"][data-col="${c}"]`);
+}
+
+function focusCell(r, c) {
+	const prev = boardCell(activeCell.r, activeCell.c);
+	if (prev) prev.tabIndex = -1;
+	activeCell = { r, c };
+	const cell = boardCell(r, c);
+	if (!cell) return;
+	cell.tabIndex = 0;
+	cell.focus();
+}
+
+function readLine(kind) {
+	const { r, c } = activeCell;
+	const values = kind === 'row' ? game.board[r] : game.board.map(row => row[c]);
+	const text = values.map(cellText).join(t('listSeparator'));
+	announce(kind === 'row' ? t('rowReadout', { row: r + 1, values: text }) : t('columnReadout', { col: c + 1, values: text }));
+}
+
+// Shift+arrows move between cells and Shift+R / Shift+C read the focused row / column, leaving
+// plain arrows (and any other bound keys) to play moves.
+function setupBoardNavigation() {
+	const steps = { ArrowUp: [-1, 0], ArrowDown: [1, 0], ArrowLeft: [0, -1], ArrowRight: [0, 1] };
+	boardEl.addEventListener('keydown', (e) => {
+		const cell = e.target.closest && e.target.closest('[role="gridcell"]');
+		if (!cell || !e.shiftKey || e.ctrlKey || e.metaKey || e.altKey) return;
+		const key = normalizeKey(e);
+		if (steps[e.key]) {
+			const [dr, dc] = steps[e.key];
+			const last = game.size - 1;
+			focusCell(Math.min(last, Math.max(0, activeCell.r + dr)), Math.min(last, Math.max(0, activeCell.c + dc)));
+		} else if (key === 'r') {
+			readLine('row');
+		} else if (key === 'c') {
+			readLine('column');
+		} else {
+			return;
+		}
+		e.preventDefault();
+		e.stopPropagation();
+	});
+	boardEl.addEventListener('focusin', (e) => {
+		const cell = e.target.closest && e.target.closest('[role="gridcell"]');
+		if (cell && (Number(cell.dataset.row) !== activeCell.r || Number(cell.dataset.col) !== activeCell.c)) {
+			focusCell(Number(cell.dataset.row), Number(cell.dataset.col));
+		}
+	});
+}
 
-	moveCountEl.textContent = String(moveCount);
+function updateHistoryControls() {
+	if (undoBtn) undoBtn.disabled = !!replayView || !moveHistory.canUndo();
+	if (redoBtn) redoBtn.disabled = !!replayView || !moveHistory.canRedo();
+	if (undoLeftEl) {
+		const left = moveHistory.undosLeft();
+		undoLeftEl.textContent = left === Infinity ? '' : `(${left})`;
+	}
 }
 
-function addMergePulse(mergedPositions) {
+function addMergePulse(boardNode, mergedPositions) {
+	if (!animationScale()) return;
 	// Apply merge animation after tiles are in DOM to avoid flicker
 	requestAnimationFrame(() => {
 		for (const [r, c] of mergedPositions) {
 			const selector = `.tile[data-row="${r}"][data-col="${c}"]`;
-			const el = boardEl.querySelector(selector);
+			const el = boardNode.querySelector(selector);
 			if (el) {
 				el.classList.remove('merge'); // restart if present
 				// Force reflow to allow re-adding
@@ -135,19 +565,36 @@ function addMergePulse(mergedPositions) {
 	});
 }
 
-function animateSlides(prevBoard, moves, onDone) {
+// Flashes the cells a bomb just cleared.
+function addBlastFlash(boardNode, cells) {
+	if (!animationScale()) return;
+	requestAnimationFrame(() => {
+		for (const [r, c] of cells) {
+			const el = boardNode.querySelector(`[data-row="${r}"][data-col="${c}"]`);
+			if (el) {
+				el.classList.remove('blast');
+				void el.offsetWidth;
+				el.classList.add('blast');
+			}
+		}
+	});
+}
+
+// Slides copies of the moving tiles over board element `el` (drawn for game `g` with `moves`).
+function animateSlides(el, g, moves, onDone, duration = SLIDE_MS * animationScale()) {
+	if (!duration) { if (typeof onDone === 'function') onDone(); return; }
 	const overlay = document.createElement('div');
 	overlay.style.position = 'absolute';
 	overlay.style.inset = '0';
 	overlay.style.pointerEvents = 'none';
 	overlay.className = 'anim-layer';
-	boardEl.appendChild(overlay);
+	el.appendChild(overlay);
 
-	const cs = getComputedStyle(boardEl);
+	const cs = getComputedStyle(el);
 	const gap = parseFloat(cs.getPropertyValue('grid-gap') || cs.getPropertyValue('gap') || '12');
 	const pad = parseFloat(cs.paddingLeft || '0');
-	const total = boardEl.clientWidth;
-	const tileSize = (total - pad * 2 - gap * (BOARD_SIZE - 1)) / BOARD_SIZE;
+	const total = el.clientWidth;
+	const tileSize = (total - pad * 2 - gap * (g.size - 1)) / g.size;
 	function pos(r, c) { const x = pad + c * (tileSize + gap); const y = pad + r * (tileSize + gap); return { x, y }; }
 
 	for (const move of moves) {
@@ -158,14 +605,13 @@ function animateSlides(prevBoard, moves, onDone) {
 		const dx = end.x - start.x;
 		const dy = end.y - start.y;
 		const piece = document.createElement('div');
-		piece.className = `tile ${tileClass(value)}`;
-		piece.textContent = String(value);
+		fillTile(piece, value, g);
 		piece.style.position = 'absolute';
 		piece.style.left = `${start.x}px`;
 		piece.style.top = `${start.y}px`;
 		piece.style.width = `${tileSize}px`;
 		piece.style.height = `${tileSize}px`;
-		piece.style.transition = `transform ${SLIDE_MS}ms cubic-bezier(.2,.8,.2,1)`;
+		piece.style.transition = `transform ${duration}ms cubic-bezier(.2,.8,.2,1)`;
 		piece.style.willChange = 'transform';
 		piece.style.transform = `translate3d(${dx}px, ${dy}px, 0)`;
 		piece.style.opacity = '0.98';
@@ -178,10 +624,12 @@ function animateSlides(prevBoard, moves, onDone) {
 		setTimeout(() => {
 			if (overlay && overlay.parentNode) overlay.parentNode.removeChild(overlay);
 		}, 80);
-	}, SLIDE_MS + 10);
+	}, duration + 10);
 }
 
 function animateGroup(direction, onDone) {
+	const duration = GROUP_MS * animationScale();
+	if (!duration) { if (typeof onDone === 'function') onDone(); return; }
 	// Snapshot current non-zero tiles and move the whole group slightly towards direction
 	const overlay = document.createElement('div');
 	overlay.className = 'anim-layer';
@@ -195,23 +643,25 @@ function animateGroup(direction, onDone) {
 	group.style.top = '0';
 	group.style.right = '0';
 	group.style.bottom = '0';
-	group.style.transition = `transform ${GROUP_MS}ms cubic-bezier(.25,.8,.25,1)`;
+	group.style.transition = `transform ${duration}ms cubic-bezier(.25,.8,.25,1)`;
 
 	const cs = getComputedStyle(boardEl);
 	const gap = parseFloat(cs.getPropertyValue('grid-gap') || cs.getPropertyValue('gap') || '12');
 	const pad = parseFloat(cs.paddingLeft || '0');
 	const total = boardEl.clientWidth;
-	const tileSize = (total - pad * 2 - gap * (BOARD_SIZE - 1)) / BOARD_SIZE;
+	const tileSize = (total - pad * 2 - gap * (game.size - 1)) / game.size;
 	function pos(r, c) { const x = pad + c * (tileSize + gap); const y = pad + r * (tileSize + gap); return { x, y }; }
 
-	for (let r = 0; r < BOARD_SIZE; r++) {
-		for (let c = 0; c < BOARD_SIZE; c++) {
-			const value = board[r][c];
+	for (let r = 0; r < game.size; r++) {
+		for (let c = 0; c < game.size; c++) {
+			const value = game.board[r][c];
 			if (!value) continue;
 			const p = pos(r, c);
 			const piece = document.createElement('div');
-			piece.className = `tile ${tileClass(value)}`;
+			piece.className = 'tile';
+			paintTile(piece, value);
 			piece.textContent = String(value);
+			piece.style.fontSize = tileFontSize(value);
 			piece.style.position = 'absolute';
 			piece.style.left = `${p.x}px`;
 			piece.style.top = `${p.y}px`;
@@ -237,191 +687,408 @@ function animateGroup(direction, onDone) {
 	setTimeout(() => {
 		if (overlay && overlay.parentNode) overlay.parentNode.removeChild(overlay);
 		if (typeof onDone === 'function') onDone();
-	}, GROUP_MS + 20);
+	}, duration + 20);
 }
 
-function tileClass(value) {
-	// Map to nearest defined class
-	switch (value) {
-		case 3: return 'tile-3';
-		case 6: return 'tile-6';
-		case 12: return 'tile-12';
-		case 24: return 'tile-24';
-		case 48: return 'tile-48';
-		case 96: return 'tile-96';
-		case 192: return 'tile-192';
-		case 384: return 'tile-384';
-		case 768: return 'tile-768';
-		case 1536: return 'tile-1536';
-		case 3072: return 'tile-3072';
-		default: return 'tile-3072';
+// Themes
+function resolveTheme() {
+	if (settings.theme in THEMES) return settings.theme;
+	return darkSchemeQuery && darkSchemeQuery.matches ? 'dark' : 'light';
+}
+
+function hslToRgb(h, s, l) {
+	s /= 100;
+	l /= 100;
+	const k = n => (n + h / 30) % 12;
+	const a = s * Math.min(l, 1 - l);
+	const f = n => l - a * Math.max(-1, Math.min(k(n) - 3, 9 - k(n), 1));
+	return [f(0), f(8), f(4)];
+}
+
+function luminance([r, g, b]) {
+	const lin = c => (c <= 0.03928 ? c / 12.92 : ((c + 0.055) / 1.055) ** 2.4);
+	return 0.2126 * lin(r) + 0.7152 * lin(g) + 0.0722 * lin(b);
+}
+
+function hexToRgb(hex) {
+	const n = parseInt(hex.slice(1), 16);
+	return [(n >> 16) / 255, ((n >> 8) & 255) / 255, (n & 255) / 255];
+}
+
+const tileColorCache = new Map();
+
+// Colors follow the tile's rank above the base, so every variant and every value gets one.
+// Text is whichever of white or the theme's dark text contrasts more with the background.
+function tileColors(value, base = game.tileValue) {
+	const themeName = resolveTheme();
+	const rank = Math.max(0, Math.round(Math.log2(value / base)));
+	const key = `${themeName}|${rank}`;
+	if (tileColorCache.has(key)) return tileColorCache.get(key);
+	const theme = THEMES[themeName];
+	const stops = theme.tiles;
+	let [h, s, l] = stops[Math.min(rank, stops.length - 1)];
+	if (rank >= stops.length) {
+		// Past the palette, keep turning the hue so each doubling still looks different
+		const extra = rank - stops.length + 1;
+		h = (h + extra * 47) % 360;
+		s = Math.max(s, 60); // a gray last stop would otherwise repeat forever
+		if (extra % 2) l = Math.min(l + 12, 75);
 	}
+	const bgLum = luminance(hslToRgb(h, s, l));
+	const darkLum = luminance(hexToRgb(theme.text));
+	const whiteContrast = 1.05 / (bgLum + 0.05);
+	const darkContrast = (Math.max(bgLum, darkLum) + 0.05) / (Math.min(bgLum, darkLum) + 0.05);
+	const colors = { bg: `hsl(${h}, ${s}%, ${l}%)`, fg: darkContrast > whiteContrast ? theme.text : '#ffffff' };
+	tileColorCache.set(key, colors);
+	return colors;
 }
 
-// Game lifecycle
-function resetGame() {
-	board = createEmptyBoard();
-	moveCount = 0;
-	spawnRandomTiles(2);
-	renderBoard();
-	saveState();
+function paintTile(el, value, base = game.tileValue) {
+	const { bg, fg } = tileColors(value, base);
+	el.style.setProperty('--tile-bg', bg);
+	el.style.setProperty('--tile-fg', fg);
+}
+
+// index.html sets data-theme before first paint; this keeps it in sync after changes.
+function applyTheme() {
+	const name = resolveTheme();
+	document.documentElement.dataset.theme = name;
+	const meta = document.querySelector('meta[name="theme-color"]');
+	if (meta) meta.setAttribute('content', THEMES[name].meta);
+	const sel = document.getElementById('themeSelect');
+	if (sel) sel.value = settings.theme || '';
 }
 
-function spawnRandomTiles(n) {
-	const spawned = [];
-	for (let i = 0; i < n; i++) {
-		const empties = getEmptyCells(board);
-		if (empties.length === 0) break;
-		const [r, c] = randomChoice(empties);
-		board[r][c] = NEW_TILE_VALUE;
-		spawned.push([r, c]);
+function setupThemeSettings() {
+	const sel = document.getElementById('themeSelect');
+	if (sel) sel.addEventListener('change', () => {
+		settings.theme = sel.value || null;
+		saveSettings();
+		applyTheme();
+		renderBoard();
+		applyI18n(); // re-renders the histogram and slot thumbnails
+	});
+	if (darkSchemeQuery && darkSchemeQuery.addEventListener) {
+		darkSchemeQuery.addEventListener('change', () => {
+			if (settings.theme != null) return;
+			applyTheme();
+			renderBoard();
+			applyI18n();
+		});
 	}
-	return spawned;
+	applyTheme();
 }
 
-function checkWin() {
-	for (let r = 0; r < BOARD_SIZE; r++) {
-		for (let c = 0; c < BOARD_SIZE; c++) {
-			if (board[r][c] >= TARGET_VALUE) return true;
-		}
+function tileFontSize(value, size = game.size) {
+	const len = String(value).length;
+	const rem = len <= 2 ? 1.6 : len === 3 ? 1.3 : len === 4 ? 1.1 : len === 5 ? 0.95 : 0.8;
+	// Sizes above were tuned for 5×5 on the full-size board; scale for other sizes. Smaller
+	// boards (e.g. versus) shrink the text with --tile-scale.
+	const scale = Math.min(1.25, Math.max(0.5, 5 / size));
+	return `calc(${+(rem * scale).toFixed(2)}rem * var(--tile-scale, 1))`;
+}
+
+// Animation speed
+function animationSpeed() {
+	if (settings.animation in ANIMATION_SPEEDS) return settings.animation;
+	return reducedMotionQuery && reducedMotionQuery.matches ? 'off' : 'normal';
+}
+
+function animationScale() {
+	return ANIMATION_SPEEDS[animationSpeed()];
+}
+
+// CSS pulses (.spawn, .merge) read --anim-scale
+function applyAnimationSpeed() {
+	document.documentElement.style.setProperty('--anim-scale', String(animationScale()));
+	const sel = document.getElementById('animationSpeed');
+	if (sel) sel.value = animationSpeed();
+}
+
+function setupAnimationSettings() {
+	const sel = document.getElementById('animationSpeed');
+	if (sel) sel.addEventListener('change', () => {
+		settings.animation = sel.value;
+		saveSettings();
+		applyAnimationSpeed();
+	});
+	// Follow OS changes until the player picks a speed
+	if (reducedMotionQuery && reducedMotionQuery.addEventListener) {
+		reducedMotionQuery.addEventListener('change', () => { if (settings.animation == null) applyAnimationSpeed(); });
 	}
-	return false;
+	applyAnimationSpeed();
 }
 
-function hasMovesAvailable() {
-	if (getEmptyCells(board).length > 0) return true;
-	for (let r = 0; r < BOARD_SIZE; r++) {
-		for (let c = 0; c < BOARD_SIZE; c++) {
-			const v = board[r][c];
-			if (r + 1 < BOARD_SIZE && board[r + 1][c] === v) return true;
-			if (c + 1 < BOARD_SIZE && board[r][c + 1] === v) return true;
-		}
+// Sound and haptics. Tones are synthesized with Web Audio, so there are no files to download; the
+// context is only created after the first user gesture, as browser autoplay policies require.
+let audioCtx = null;
+let masterGain = null;
+
+function unlockAudio() {
+	if (audioCtx) {
+		if (audioCtx.state === 'suspended') audioCtx.resume();
+		return;
 	}
-	return false;
+	const Ctx = window.AudioContext || window.webkitAudioContext;
+	if (!Ctx) return;
+	audioCtx = new Ctx();
+	masterGain = audioCtx.createGain();
+	masterGain.connect(audioCtx.destination);
+	applyVolume();
 }
 
-// Movement
-const Direction = Object.freeze({ Up: 'Up', Down: 'Down', Left: 'Left', Right: 'Right' });
+function applyVolume() {
+	if (masterGain) masterGain.gain.value = settings.muted ? 0 : settings.volume;
+	const muteBtn = document.getElementById('muteBtn');
+	if (muteBtn) {
+		muteBtn.textContent = settings.muted ? '🔇' : '🔊';
+		muteBtn.setAttribute('aria-pressed', String(settings.muted));
+	}
+}
+
+// One enveloped oscillator note; `to` glides the pitch over the note. Times are in seconds.
+function tone(freq, { start = 0, duration = 0.12, type = 'sine', to = null, peak = 0.3 } = {}) {
+	const t0 = audioCtx.currentTime + start;
+	const osc = audioCtx.createOscillator();
+	const env = audioCtx.createGain();
+	osc.type = type;
+	osc.frequency.setValueAtTime(freq, t0);
+	if (to) osc.frequency.exponentialRampToValueAtTime(to, t0 + duration);
+	env.gain.setValueAtTime(0.0001, t0);
+	env.gain.exponentialRampToValueAtTime(peak, t0 + 0.01);
+	env.gain.exponentialRampToValueAtTime(0.0001, t0 + duration);
+	osc.connect(env);
+	env.connect(masterGain);
+	osc.start(t0);
+	osc.stop(t0 + duration + 0.02);
+}
+
+const SOUNDS = {
+	slide: () => tone(180, { duration: 0.07, type: 'triangle', to: 120, peak: 0.12 }),
+	spawn: () => tone(880, { start: 0.03, duration: 0.05, peak: 0.06 }),
+	// Pitch climbs a minor third per doubling above the base tile
+	merge: (value) => tone(220 * 2 ** (Math.log2(value / game.tileValue) / 4), { duration: 0.16, type: 'triangle', peak: 0.35 }),
+	win: () => [523.25, 659.25, 783.99, 1046.5].forEach((f, i) => tone(f, { start: i * 0.12, duration: 0.28, peak: 0.3 })),
+	over: () => [392, 311.13, 261.63].forEach((f, i) => tone(f, { start: i * 0.18, duration: 0.32, type: 'triangle', peak: 0.3 })),
+	blast: () => tone(110, { duration: 0.35, type: 'sawtooth', to: 40, peak: 0.35 }),
+};
+
+function playSound(name, arg) {
+	if (!audioCtx || settings.muted || !settings.volume) return;
+	try {
+		SOUNDS[name](arg);
+	} catch (_) {}
+}
+
+function vibrate(pattern) {
+	if (!settings.haptics || !navigator.vibrate) return;
+	try {
+		navigator.vibrate(pattern);
+	} catch (_) {}
+}
+
+function setupSound() {
+	for (const type of ['pointerdown', 'keydown', 'touchstart']) {
+		document.addEventListener(type, unlockAudio, { capture: true, passive: true });
+	}
+	const muteBtn = document.getElementById('muteBtn');
+	if (muteBtn) muteBtn.addEventListener('click', () => {
+		settings.muted = !settings.muted;
+		saveSettings();
+		applyVolume();
+		applyI18n();
+	});
+	const volume = document.getElementById('volume');
+	if (volume) {
+		volume.value = String(Math.round(settings.volume * 100));
+		volume.addEventListener('input', () => {
+			settings.volume = Number(volume.value) / 100;
+			settings.muted = false;
+			applyVolume();
+		});
+		volume.addEventListener('change', () => {
+			saveSettings();
+			playSound('spawn');
+		});
+	}
+	const haptics = document.getElementById('haptics');
+	if (haptics) {
+		haptics.checked = settings.haptics;
+		haptics.addEventListener('change', () => {
+			settings.haptics = haptics.checked;
+			saveSettings();
+			if (settings.haptics) vibrate(20);
+		});
+	}
+	applyVolume();
+}
 
+// Game lifecycle
+function resetGame() {
+	exitMatch();
+	if (replayView) closeReplayViewer();
+	if (mode === 'daily') leaveDaily();
+	if (mode === 'challenge') leaveChallenge();
+	if (mode === 'puzzle') leavePuzzle();
+	game = createGame();
+	game.reset();
+	replay = createReplay(game);
+	moveHistory = createHistory();
+	recordedMaxTile = 0;
+	run = newRun();
+	keepPlaying = false;
+	milestone = 0;
+	cancelPendingMoves();
+	renderBoard();
+	saveState();
+}
+
+// Movement
 function handleMove(direction) {
-	if (inputLocked) return;
-	inputLocked = true;
-	lastDirection = direction;
-	const before = cloneBoard(board);
+	if (match) {
+		if (match.manager.mode === 'hotseat') matchMove(match.manager.turn, direction);
+		return;
+	}
+	if (replayView || dailyFinished()) return;
+	if (mode === 'challenge' && !challengeCanMove()) return;
+	if (mode === 'puzzle' && puzzle.result) return;
+	if (inputLocked) {
+		if (settings.inputMode === 'queued' && inputQueue.length < INPUT_QUEUE_LIMIT) inputQueue.push(direction);
+		return;
+	}
+	const prev = game.snapshot();
 
 	// Compute final state and precise moves first
-	const { moved, mergedPositions, slideMoves } = moveBoard(direction);
-	if (!moved) {
-		inputLocked = false;
-		return; // no-op
-	}
+	const result = game.move(direction);
+	if (!result.moved) return; // no-op
 
-	moveCount += 1;
-	const spawned = spawnRandomTiles(1);
+	moveHistory.record(prev, direction, result.spawned);
+	recordMove(replay, direction, result.spawned, game.board);
+	if (mode === 'challenge') startChallengeClock();
+	playMove(prev.board, result);
+}
 
-	// Render placeholders and animate all tiles to final destinations (incl. merges)
-	renderBoard(before, { moves: slideMoves });
-	animateSlides(before, slideMoves, () => {
-		// Then show final board with spawn/merge pulses
-		renderBoard(null, { spawned, merged: mergedPositions });
-		saveState();
-		if (handleWinLoseAfterRender()) { inputLocked = false; return; }
-		setTimeout(() => { inputLocked = false; }, 20);
-	});
+// One-line summary for the live region, e.g. "Moved left, 2 merges, highest 96, new 3 at row 2, column 4".
+function describeMove(direction, merged, spawned, cleared = []) {
+	const spawn = spawned[0];
+	return [
+		t(`moveSummary.moved.${direction}`),
+		merged.length ? t('moveSummary.merges', { count: merged.length }) : '',
+		cleared.length ? t('moveSummary.blast', { count: cleared.length }) : '',
+		t('moveSummary.highest', { value: String(game.maxTile()) }),
+		spawn ? t('moveSummary.spawn', { value: cellText(game.board[spawn[0]][spawn[1]]), row: spawn[0] + 1, col: spawn[1] + 1 }) : '',
+	].filter(Boolean).join(t('listSeparator'));
+}
+
+// Slide time for the next move: queued presses shorten it, then skip it, so the board catches up.
+function slideDuration(queued = inputQueue.length) {
+	if (settings.inputMode === 'instant' || queued >= 2) return 0;
+	const ms = SLIDE_MS * animationScale();
+	return queued === 1 ? ms / 2 : ms;
+}
+
+// Drops queued presses and the rest of a move still animating; called wherever `game` is replaced.
+function cancelPendingMoves() {
+	moveToken++;
+	inputLocked = false;
+	inputQueue.length = 0;
 }
 
-function moveBoard(direction) {
-	let moved = false;
-	const mergedPositions = [];
-	const slideMoves = [];
+function playMove(before, { direction, slides, merged, cleared, spawned }) {
+	inputLocked = true;
+	lastDirection = direction;
+	clearHint();
+	const duration = slideDuration();
+	const token = moveToken;
+	playSound('slide');
 
-	if (direction === Direction.Left || direction === Direction.Right) {
-		for (let r = 0; r < BOARD_SIZE; r++) {
-			const row = board[r].slice();
-			const { line, movedLine, mergedIdxs, moves } = compressAndMergeLineWithMoves(row, direction === Direction.Left);
-			if (!arraysEqual(line, board[r])) moved = true;
-			board[r] = line;
-			for (const idx of mergedIdxs) mergedPositions.push([r, idx]);
-			for (const m of moves) slideMoves.push({ fromR: r, fromC: m.from, toR: r, toC: m.to, value: m.value });
+	const unlock = () => {
+		if (token !== moveToken) return;
+		inputLocked = false;
+		if (inputQueue.length) handleMove(inputQueue.shift());
+		else if (autoplay.on) scheduleAutoplay();
+	};
+	const finish = () => {
+		if (token !== moveToken) return;
+		// Show final board with spawn/merge pulses
+		updateBestScore();
+		renderBoard(null, { spawned, merged, cleared });
+		saveState();
+		if (merged.length) {
+			playSound('merge', Math.max(...merged.map(([r, c]) => game.board[r][c])));
+			vibrate(20);
 		}
-	} else {
-		for (let c = 0; c < BOARD_SIZE; c++) {
-			const col = [];
-			for (let r = 0; r < BOARD_SIZE; r++) col.push(board[r][c]);
-			const { line, movedLine, mergedIdxs, moves } = compressAndMergeLineWithMoves(col, direction === Direction.Up);
-			for (let r = 0; r < BOARD_SIZE; r++) {
-				if (board[r][c] !== line[r]) moved = true;
-				board[r][c] = line[r];
-			}
-			for (const idx of mergedIdxs) mergedPositions.push([idx, c]);
-			for (const m of moves) slideMoves.push({ fromR: m.from, fromC: c, toR: m.to, toC: c, value: m.value });
-		}
-	}
-
-	return { moved, mergedPositions, slideMoves };
-}
-
-function compressAndMergeLineWithMoves(line, forward) {
-	// Build working list with original indices in line orientation
-	const items = [];
-	for (let i = 0; i < line.length; i++) if (line[i] !== 0) items.push({ value: line[i], idx: i });
-	const working = forward ? items : items.slice().reverse().map(it => ({ value: it.value, idx: BOARD_SIZE - 1 - it.idx }));
-
-	const result = [];
-	const mergedIdxsForward = [];
-	const moves = [];
-	for (let i = 0; i < working.length; i++) {
-		const cur = working[i];
-		if (i + 1 < working.length && cur.value === working[i + 1].value) {
-			const next = working[i + 1];
-			const sum = cur.value + next.value;
-			const toIdxForward = result.length; // destination index in forward orientation
-			result.push(sum);
-			mergedIdxsForward.push(toIdxForward);
-			// Both tiles animate to the same destination index
-			const mappedDest = forward ? toIdxForward : BOARD_SIZE - 1 - toIdxForward;
-			moves.push({ from: cur.idx, to: mappedDest, value: cur.value });
-			moves.push({ from: next.idx, to: mappedDest, value: next.value });
-			i++; // consume next
-		} else {
-			const toIdxForward = result.length;
-			result.push(cur.value);
-			moves.push({ from: cur.idx, to: forward ? toIdxForward : BOARD_SIZE - 1 - toIdxForward, value: cur.value });
+		if (cleared.length) {
+			playSound('blast');
+			vibrate([40, 30, 60]);
 		}
-	}
-	while (result.length < BOARD_SIZE) result.push(0);
+		if (spawned.length) playSound('spawn');
+		announce(describeMove(direction, merged, spawned, cleared));
+		if (handleWinLoseAfterRender()) { inputLocked = false; inputQueue.length = 0; setAutoplay(false); return; }
+		if (duration) setTimeout(unlock, 20);
+		else unlock();
+	};
+	if (!duration) { finish(); return; }
+	// Render placeholders and animate all tiles to final destinations (incl. merges)
+	renderBoard(before, { moves: slides });
+	animateSlides(boardEl, game, slides, finish, duration);
+}
 
-	let finalLine, mergedIdxsMapped;
-	if (forward) {
-		finalLine = result;
-		mergedIdxsMapped = mergedIdxsForward;
-	} else {
-		finalLine = result.slice().reverse();
-		mergedIdxsMapped = mergedIdxsForward.map(i => BOARD_SIZE - 1 - i);
-	}
-	return { line: finalLine, movedLine: !arraysEqual(finalLine, line), mergedIdxs: mergedIdxsMapped, moves };
+function undoMove() {
+	if (inputLocked || replayView || match || !moveHistory.canUndo()) return;
+	moveHistory.undo(game);
+	replay.moves.pop();
+	run.undoUsed = true;
+	if (puzzle) puzzle.result = null; // undoing the last move of a failed puzzle plays on
+	clearHint();
+	closeModal();
+	renderBoard();
+	saveState();
+	announce(t('undone'));
 }
 
-function arraysEqual(a, b) {
-	if (a.length !== b.length) return false;
-	for (let i = 0; i < a.length; i++) if (a[i] !== b[i]) return false;
-	return true;
+function redoMove() {
+	if (inputLocked || replayView || match || !moveHistory.canRedo()) return;
+	const before = cloneBoard(game.board);
+	const result = moveHistory.redo(game);
+	recordMove(replay, result.direction, result.spawned, game.board);
+	playMove(before, result);
+	announce(t('redone'));
 }
 
 // UI helpers
-function openModal(title, message) {
+// Options: outcome ('win' / 'lose') sets the icon and confetti, continuable, next (puzzle level),
+// shareText (emoji text, else built from card), card (resultCard() for the share image), report
+// (offer the post-game report).
+function openModal(title, message, options = {}) {
 	modalTitleEl.textContent = title;
+	if (continueBtn) continueBtn.hidden = !options.continuable;
+	const nextBtn = document.getElementById('modalNextBtn');
+	if (nextBtn) nextBtn.hidden = !options.next;
+	const reportBtn = document.getElementById('modalReportBtn');
+	if (reportBtn) reportBtn.hidden = !options.report;
+	modalShareCard = options.card ? { ...options.card, title } : null;
+	const shareBtn = document.getElementById('modalShareBtn');
+	if (shareBtn) {
+		shareBtn.hidden = !options.shareText && !modalShareCard;
+		shareBtn.dataset.text = options.shareText || (modalShareCard ? cardShareText(modalShareCard) : '');
+	}
+	const shareImageBtn = document.getElementById('modalShareImageBtn');
+	if (shareImageBtn) shareImageBtn.hidden = !modalShareCard;
+	const shareTextEl = document.getElementById('modalShareText');
+	if (shareTextEl) shareTextEl.hidden = true;
+	if (playAgainBtn) playAgainBtn.textContent = t(match ? 'matchRematch' : mode === 'daily' ? 'dailyExit' : mode === 'puzzle' ? 'puzzleRetry' : 'playAgain');
 	modalMessageEl.textContent = message;
 	const modalCard = modalEl.querySelector('.modal-card');
 	const iconEl = document.getElementById('modalIcon');
 	const confettiCanvas = document.getElementById('confetti');
 	modalCard.classList.remove('win', 'lose');
 	iconEl.textContent = '🎉';
-	if (title.includes('恭喜') || title.toLowerCase().includes('congrat')) {
+	if (options.outcome === 'win') {
 		modalCard.classList.add('win');
 		iconEl.textContent = '🎉';
 		try { runConfetti(confettiCanvas); } catch (_) {}
-	} else if (title.toLowerCase().includes('game over') || title.includes('失败')) {
+	} else if (options.outcome === 'lose') {
 		modalCard.classList.add('lose');
 		iconEl.textContent = '😢';
 		if (confettiCanvas) confettiCanvas.style.display = 'none';
@@ -433,8 +1100,36 @@ function closeModal() {
 	modalEl.classList.remove('open');
 }
 
+let toastTimer = null;
+function showToast(text) {
+	if (!toastEl) return;
+	toastEl.textContent = text;
+	toastEl.classList.add('show');
+	clearTimeout(toastTimer);
+	toastTimer = setTimeout(() => toastEl.classList.remove('show'), 2400);
+}
+
+function continueGame() {
+	keepPlaying = true;
+	milestone = Math.max(milestone, game.maxTile());
+	closeModal();
+	saveState();
+	announce(t('continuing', { next: String(game.target * 2) }));
+}
+
+// Endless play: toast each time the max tile doubles past the last milestone.
+function checkMilestone() {
+	const max = game.maxTile();
+	if (max <= milestone) return;
+	milestone = max;
+	saveState();
+	const text = t('milestone', { value: String(max) });
+	showToast(text);
+	announce(text);
+}
+
 function runConfetti(canvas) {
-	if (!canvas) return;
+	if (!canvas || !animationScale()) return;
 	const dpr = window.devicePixelRatio || 1;
 	const ctx = canvas.getContext('2d');
 	canvas.style.display = 'block';
@@ -451,6 +1146,7 @@ function runConfetti(canvas) {
 		color: colors[Math.floor(Math.random() * colors.length)],
 		life: 60 + Math.random() * 60
 	}));
+	const frames = Math.round(75 * animationScale());
 	let frame = 0, rafId;
 	function tick() {
 		ctx.clearRect(0,0,canvas.width,canvas.height);
@@ -460,7 +1156,7 @@ function runConfetti(canvas) {
 			ctx.beginPath(); ctx.fillStyle = p.color; ctx.arc(p.x, p.y, p.r, 0, Math.PI*2); ctx.fill();
 		}
 		frame++;
-		if (frame < 75) { rafId = requestAnimationFrame(tick); } else { stop(); }
+		if (frame < frames) { rafId = requestAnimationFrame(tick); } else { stop(); }
 	}
 	function stop() {
 		cancelAnimationFrame(rafId);
@@ -479,148 +1175,2722 @@ function setupInputs() {
 	const btnRight = document.getElementById('btnRight'); if (btnRight) btnRight.addEventListener('click', () => handleMove(Direction.Right));
 
 	document.addEventListener('keydown', (e) => {
-		if (e.key === 'ArrowUp') { e.preventDefault(); handleMove(Direction.Up); }
-		else if (e.key === 'ArrowDown') { e.preventDefault(); handleMove(Direction.Down); }
-		else if (e.key === 'ArrowLeft') { e.preventDefault(); handleMove(Direction.Left); }
-		else if (e.key === 'ArrowRight') { e.preventDefault(); handleMove(Direction.Right); }
+		if ((e.ctrlKey || e.metaKey) && !e.altKey) {
+			const key = e.key.toLowerCase();
+			if (key === 'z' && !e.shiftKey) { e.preventDefault(); undoMove(); }
+			else if (key === 'y' || (key === 'z' && e.shiftKey)) { e.preventDefault(); redoMove(); }
+			return;
+		}
+		if (e.altKey || isTypingTarget(e.target)) return;
+		if (match && match.manager.mode === 'versus') {
+			const player = versusPlayerForKey(normalizeKey(e));
+			if (player) { e.preventDefault(); matchMove(player.index, player.direction); }
+			return;
+		}
+		const action = actionForKey(normalizeKey(e));
+		if (!action) return;
+		e.preventDefault();
+		if (action === 'undo') undoMove();
+		else if (action === 'restart') requestRestart();
+		else handleMove(action);
 	});
 
 	// Touch swipe on board
-	let touchStartX = 0, touchStartY = 0, touching = false;
-	const threshold = 30;
-	if (boardEl) {
-		boardEl.addEventListener('touchstart', (e) => {
-			if (!e.touches || e.touches.length === 0) return;
-			touching = true;
-			touchStartX = e.touches[0].clientX;
-			touchStartY = e.touches[0].clientY;
-		}, { passive: true });
-		boardEl.addEventListener('touchend', (e) => {
-			if (!touching) return;
-			touching = false;
-			const touch = e.changedTouches && e.changedTouches[0];
-			if (!touch) return;
-			const dx = touch.clientX - touchStartX;
-			const dy = touch.clientY - touchStartY;
-			if (Math.max(Math.abs(dx), Math.abs(dy)) < threshold) return;
-			if (Math.abs(dx) > Math.abs(dy)) {
-				handleMove(dx > 0 ? Direction.Right : Direction.Left);
-			} else {
-				handleMove(dy > 0 ? Direction.Down : Direction.Up);
-			}
-		}, { passive: true });
-	}
+	if (boardEl) addSwipe(boardEl, handleMove);
 
-	if (restartBtn) restartBtn.addEventListener('click', () => {
-		closeModal();
-		resetGame();
-		announce(currentLang === 'en' ? 'Game reset' : '游戏已重置');
-	});
+	if (restartBtn) restartBtn.addEventListener('click', requestRestart);
 	if (playAgainBtn) playAgainBtn.addEventListener('click', () => {
 		closeModal();
-		resetGame();
+		if (match) { startMatch(match.manager.mode); return; }
+		if (mode === 'daily') { exitDaily(); return; }
+		if (mode === 'challenge') startChallenge(challenge.id, challenge.optionIndex);
+		else if (mode === 'puzzle') startPuzzle(puzzle.level, puzzle.index);
+		else resetGame();
+		offerProfiles();
 	});
-
-	// Language select
-	const sel = document.getElementById('langSelect');
-	if (sel) sel.addEventListener('change', () => {
-		currentLang = sel.value;
-		applyI18n();
+	const nextBtn = document.getElementById('modalNextBtn');
+	if (nextBtn) nextBtn.addEventListener('click', () => {
+		if (puzzle && LEVELS[puzzle.index + 1]) startPuzzle(LEVELS[puzzle.index + 1], puzzle.index + 1);
 	});
-}
+	const noticeClose = document.getElementById('noticeClose');
+	if (noticeClose) noticeClose.addEventListener('click', () => { document.getElementById('notice').hidden = true; });
+	const modalShareBtn = document.getElementById('modalShareBtn');
+	if (modalShareBtn) modalShareBtn.addEventListener('click', () => {
+		const text = modalShareBtn.dataset.text || '';
+		shareText(text);
+		if (mode === 'daily') showDailySummary(text);
+	});
+	const modalShareImageBtn = document.getElementById('modalShareImageBtn');
+	if (modalShareImageBtn) modalShareImageBtn.addEventListener('click', () => { if (modalShareCard) shareImage(modalShareCard); });
+	if (continueBtn) continueBtn.addEventListener('click', continueGame);
+	const resetStatsBtn = document.getElementById('resetStatsBtn');
+	if (resetStatsBtn) resetStatsBtn.addEventListener('click', () => {
+		if (!confirm(t('resetStatsConfirm'))) return;
+		resetStats();
+		announce(t('statsCleared'));
+	});
+	setupVariantForm();
+	setupReplayControls();
+	setupAiControls();
+	setupReportControls();
+	setupDailyControls();
+	setupChallengeControls();
+	setupPuzzleControls();
+	setupLevelEditor();
+	setupSlotControls();
+	setupLeaderboardControls();
+	setupControlSettings();
+	setupGamepads();
+	setupAnimationSettings();
+	setupBoardNavigation();
+	setupSound();
+	setupThemeSettings();
+	setupMatchControls();
+	if (undoBtn) undoBtn.addEventListener('click', undoMove);
+	if (redoBtn) redoBtn.addEventListener('click', redoMove);
 
-// Bootstrap
-(function init() {
-	const restored = loadState();
-	// Defer i18n until next frame so I18N/currentLang are defined
-	requestAnimationFrame(() => applyI18n());
-	if (!restored) {
-		resetGame();
-	} else {
-		renderBoard();
+	// Undo settings
+	const depthInput = document.getElementById('historyDepth');
+	if (depthInput) {
+		depthInput.value = String(settings.historyDepth);
+		depthInput.addEventListener('change', () => {
+			const depth = Math.round(Number(depthInput.value));
+			settings.historyDepth = Number.isFinite(depth) ? Math.min(500, Math.max(1, depth)) : DEFAULT_SETTINGS.historyDepth;
+			depthInput.value = String(settings.historyDepth);
+			saveSettings();
+			moveHistory.limit = settings.historyDepth;
+			moveHistory.trim();
+			updateHistoryControls();
+			saveState();
+		});
 	}
-	setupInputs();
-})();
-
-const I18N = {
-	en: {
-		title: '3072 Number Merge',
-		subtitle: 'Merge tiles to reach 3072',
-		steps: 'Steps',
-		restart: 'Restart',
-		helper: 'Tip: Use arrow keys or swipe on the board.',
-		rulesTitle: 'How to Play',
-		rule1: 'The board is 5×5. Two 3-tiles appear at start.',
-		rule2: 'After every valid move, a new 3 appears at a random empty cell.',
-		rule3: 'Use buttons/arrow keys/swipe to shift all tiles to the edge.',
-		rule4: 'Adjacent equal tiles merge into their sum. A tile merges once per move.',
-		rule5: 'Reach 3072 to win; no moves and no merges left means game over.',
-		rule6: 'Use Restart anytime to reset the game.',
-		playAgain: 'Play Again',
-		winTitle: 'Congratulations!',
-		loseTitle: 'Game Over',
-		usedSteps: (n) => `Used ${n} steps`,
-	},
-	zh: {
-		title: '3072推数字游戏',
-		subtitle: '合并出3072即可获胜',
-		steps: '步数',
-		restart: '重新开始',
-		helper: '提示：可用键盘方向键，或在棋盘上滑动。',
-		rulesTitle: '游戏规则',
-		rule1: '棋盘为 5×5，初始随机生成两个数字卡片 3。',
-		rule2: '每次有效移动后，随机在一个空格生成数字卡片 3。',
-		rule3: '使用按钮/方向键/滑动，让所有卡片向指令方向移动到底。',
-		rule4: '相邻且相同的数字会在移动中合并；单次移动每张卡片只合并一次。',
-		rule5: '当出现 3072 即获胜；棋盘满且无可合并时游戏结束。',
-		rule6: '随时可点击“重新开始”重置本局。',
-		playAgain: '再来一局',
-		winTitle: '恭喜获胜',
-		loseTitle: 'Game Over',
-		usedSteps: (n) => `本局用时 ${n} 步`,
+	const undoLimitSel = document.getElementById('undoLimit');
+	if (undoLimitSel) {
+		undoLimitSel.value = settings.undoLimit == null ? '' : String(settings.undoLimit);
+		// The running game keeps the limit it started with (saved in its history)
+		undoLimitSel.addEventListener('change', () => {
+			settings.undoLimit = undoLimitSel.value === '' ? null : Number(undoLimitSel.value);
+			saveSettings();
+		});
 	}
-};
-let currentLang = 'en';
 
-function applyI18n() {
-	try {
-		document.documentElement.lang = currentLang;
-		const dict = I18N[currentLang];
-		const nodes = document.querySelectorAll('[data-i18n]');
-		nodes.forEach(node => {
+	// Language select: one option per loaded catalog, named in its own language
+	const sel = document.getElementById('langSelect');
+	if (sel) {
+		sel.textContent = '';
+		for (const locale of i18n.locales) sel.add(new Option(I18nCatalogs[locale].languageName || locale, locale));
+		sel.value = i18n.locale;
+		sel.addEventListener('change', () => {
+			settings.language = i18n.setLocale(sel.value);
+			saveSettings();
+			applyI18n();
+		});
+	}
+}
+
+// Calls onSwipe(direction) for swipes on `el` longer than 30px.
+function addSwipe(el, onSwipe) {
+	let touchStartX = 0, touchStartY = 0, touching = false;
+	const threshold = 30;
+	el.addEventListener('touchstart', (e) => {
+		if (!e.touches || e.touches.length === 0) return;
+		touching = true;
+		touchStartX = e.touches[0].clientX;
+		touchStartY = e.touches[0].clientY;
+	}, { passive: true });
+	el.addEventListener('touchend', (e) => {
+		if (!touching) return;
+		touching = false;
+		const touch = e.changedTouches && e.changedTouches[0];
+		if (!touch) return;
+		const dx = touch.clientX - touchStartX;
+		const dy = touch.clientY - touchStartY;
+		if (Math.max(Math.abs(dx), Math.abs(dy)) < threshold) return;
+		if (Math.abs(dx) > Math.abs(dy)) {
+			onSwipe(dx > 0 ? Direction.Right : Direction.Left);
+		} else {
+			onSwipe(dy > 0 ? Direction.Down : Direction.Up);
+		}
+	}, { passive: true });
+}
+
+function requestRestart() {
+	if (match) return;
+	if (mode === 'daily') { showToast(t('dailyOneAttempt')); return; }
+	if (mode === 'classic' && !confirmDiscard()) return;
+	if (replayView) closeReplayViewer();
+	// A game given up part-way still counts; finished games were recorded when they ended
+	if (game.moveCount > 0 && !game.isOver()) recordRun(false);
+	if (mode === 'challenge') startChallenge(challenge.id, challenge.optionIndex);
+	else if (mode === 'puzzle') startPuzzle(puzzle.level, puzzle.index);
+	else {
+		closeModal();
+		resetGame();
+		announce(t('restarted'));
+	}
+	offerProfiles();
+}
+
+// Controls: remappable keys and gamepads. Every source ends up in handleMove/undoMove/requestRestart.
+const CONTROL_ACTIONS = [Direction.Up, Direction.Down, Direction.Left, Direction.Right, 'undo', 'restart'];
+const RESERVED_KEYS = ['Tab', 'Escape', 'Enter', ' '];
+const GAMEPAD_DEADZONE = 0.5; // stick deflection below this counts as centered
+const GAMEPAD_BUTTONS = { 12: Direction.Up, 13: Direction.Down, 14: Direction.Left, 15: Direction.Right }; // standard mapping d-pad
+let rebinding = null; // action waiting for a key in the controls panel
+
+function normalizeKey(e) {
+	return e.key.length === 1 ? e.key.toLowerCase() : e.key;
+}
+
+function keyLabel(key) {
+	const arrows = { ArrowUp: '↑', ArrowDown: '↓', ArrowLeft: '←', ArrowRight: '→' };
+	return arrows[key] || (key.length === 1 ? key.toUpperCase() : key);
+}
+
+function isTypingTarget(el) {
+	return !!el && (el.isContentEditable || ['INPUT', 'TEXTAREA', 'SELECT'].includes(el.tagName));
+}
+
+function actionForKey(key) {
+	return CONTROL_ACTIONS.find(action => settings.keys[action] === key) || null;
+}
+
+function keyPresetName(keys) {
+	return Object.keys(KEY_PRESETS).find(name => CONTROL_ACTIONS.every(a => KEY_PRESETS[name][a] === keys[a])) || 'custom';
+}
+
+function controlLabel(action) {
+	return t(DIRECTIONS.includes(action) ? `directions.${action}` : action); // undo / restart reuse the toolbar labels
+}
+
+function renderControls() {
+	const presetSel = document.getElementById('keyPreset');
+	if (presetSel) presetSel.value = keyPresetName(settings.keys);
+	for (const action of CONTROL_ACTIONS) {
+		const label = document.getElementById(`bindLabel-${action}`);
+		if (label) label.textContent = controlLabel(action);
+		const btn = document.getElementById(`bind-${action}`);
+		if (!btn) continue;
+		btn.textContent = rebinding === action ? t('pressKey') : keyLabel(settings.keys[action]);
+		btn.setAttribute('aria-label', t('bindLabel', { action: controlLabel(action), key: keyLabel(settings.keys[action]) }));
+		btn.setAttribute('aria-pressed', String(rebinding === action));
+	}
+}
+
+// Assigns `key` to the action being rebound. Keys already used by another action are rejected.
+function bindKey(key) {
+	const errorEl = document.getElementById('controlsError');
+	const action = rebinding;
+	rebinding = null;
+	if (errorEl) errorEl.textContent = '';
+	if (key !== 'Escape') {
+		const taken = actionForKey(key);
+		if (RESERVED_KEYS.includes(key)) {
+			if (errorEl) errorEl.textContent = t('keyReserved', { key: keyLabel(key) });
+		} else if (taken && taken !== action) {
+			if (errorEl) errorEl.textContent = t('keyConflict', { key: keyLabel(key), action: controlLabel(taken) });
+		} else {
+			settings.keys = { ...settings.keys, [action]: key };
+			saveSettings();
+		}
+	}
+	renderControls();
+	const btn = document.getElementById(`bind-${action}`);
+	if (btn) btn.focus();
+}
+
+function setupControlSettings() {
+	// Saved bindings from an older build may lack newer actions
+	settings.keys = { ...KEY_PRESETS.arrows, ...settings.keys };
+	const presetSel = document.getElementById('keyPreset');
+	if (presetSel) presetSel.addEventListener('change', () => {
+		const preset = KEY_PRESETS[presetSel.value];
+		if (!preset) return;
+		settings.keys = { ...preset };
+		saveSettings();
+		const errorEl = document.getElementById('controlsError');
+		if (errorEl) errorEl.textContent = '';
+		renderControls();
+	});
+	const inputModeSel = document.getElementById('inputMode');
+	if (inputModeSel) {
+		inputModeSel.value = settings.inputMode;
+		inputModeSel.addEventListener('change', () => {
+			settings.inputMode = inputModeSel.value;
+			inputQueue.length = 0;
+			saveSettings();
+		});
+	}
+	for (const action of CONTROL_ACTIONS) {
+		const btn = document.getElementById(`bind-${action}`);
+		if (btn) btn.addEventListener('click', () => {
+			rebinding = rebinding === action ? null : action;
+			renderControls();
+		});
+	}
+	// Capture phase so the key being bound never reaches the game
+	document.addEventListener('keydown', (e) => {
+		if (!rebinding || e.ctrlKey || e.metaKey || e.altKey) return;
+		if (['Shift', 'Control', 'Alt', 'Meta'].includes(e.key)) return;
+		e.preventDefault();
+		e.stopImmediatePropagation();
+		bindKey(normalizeKey(e));
+	}, true);
+}
+
+// Polls connected controllers each frame; a direction fires once per press of the d-pad or
+// push of the left stick past the deadzone.
+function setupGamepads() {
+	if (!navigator.getGamepads) return;
+	const held = new Map(); // gamepad index -> direction currently held
+	let polling = false;
+	const readDirection = (pad) => {
+		for (const [index, direction] of Object.entries(GAMEPAD_BUTTONS)) {
+			if (pad.buttons[index] && pad.buttons[index].pressed) return direction;
+		}
+		const x = pad.axes[0] || 0;
+		const y = pad.axes[1] || 0;
+		if (Math.max(Math.abs(x), Math.abs(y)) < GAMEPAD_DEADZONE) return null;
+		if (Math.abs(x) > Math.abs(y)) return x > 0 ? Direction.Right : Direction.Left;
+		return y > 0 ? Direction.Down : Direction.Up;
+	};
+	const poll = () => {
+		const pads = Array.from(navigator.getGamepads()).filter(Boolean);
+		for (const pad of pads) {
+			const direction = readDirection(pad);
+			if (direction && held.get(pad.index) !== direction) {
+				// Versus: the first two controllers play for player 1 and player 2
+				if (match && match.manager.mode === 'versus') matchMove(pads.indexOf(pad), direction);
+				else handleMove(direction);
+			}
+			held.set(pad.index, direction);
+		}
+		if (pads.length) requestAnimationFrame(poll);
+		else polling = false;
+	};
+	const start = () => {
+		if (polling) return;
+		polling = true;
+		requestAnimationFrame(poll);
+	};
+	window.addEventListener('gamepadconnected', start);
+	window.addEventListener('gamepaddisconnected', (e) => held.delete(e.gamepad.index));
+	start(); // a pad already connected before load only shows up in getGamepads()
+}
+
+// Variant settings
+function variantPresetName(v) {
+	for (const [name, preset] of Object.entries(VARIANT_PRESETS)) {
+		if (JSON.stringify(preset) === JSON.stringify(v)) return name;
+	}
+	return 'custom';
+}
+
+function setupVariantForm() {
+	const presetSel = document.getElementById('variantPreset');
+	const sizeSel = document.getElementById('variantSize');
+	const baseInput = document.getElementById('variantBase');
+	const targetSel = document.getElementById('variantTarget');
+	const weightInputs = [1, 2, 4].map(m => document.getElementById(`spawnW${m}`));
+	const specialInputs = Object.values(SPECIAL_TILES).map(({ name }) => [name, document.getElementById(`special-${name}`)]);
+	const applyBtn = document.getElementById('applyVariantBtn');
+	const errorEl = document.getElementById('variantError');
+	if (!presetSel || !sizeSel || !baseInput || !targetSel || !applyBtn) return;
+
+	for (let n = MIN_SIZE; n <= MAX_SIZE; n++) sizeSel.add(new Option(`${n}×${n}`, String(n)));
+	let targetBase = settings.variant.tileValue; // base the target list was built for
+
+	function fillTargets(base, target) {
+		targetBase = base;
+		targetSel.innerHTML = '';
+		for (let rank = 1; rank <= 16; rank++) targetSel.add(new Option(String(base * 2 ** rank), String(base * 2 ** rank)));
+		targetSel.value = String(target);
+		if (targetSel.selectedIndex < 0) targetSel.value = String(base * 2 ** 10);
+	}
+
+	function fillSpawnLabels(base) {
+		[1, 2, 4].forEach(m => {
+			const label = document.getElementById(`spawnV${m}`);
+			if (label) label.textContent = String(base * m);
+		});
+	}
+
+	function fill(v) {
+		presetSel.value = variantPresetName(v);
+		sizeSel.value = String(v.size);
+		baseInput.value = String(v.tileValue);
+		fillTargets(v.tileValue, v.target);
+		fillSpawnLabels(v.tileValue);
+		weightInputs.forEach((input, i) => {
+			const entry = v.spawnTable.find(e => e.value === v.tileValue * 2 ** i);
+			if (input) input.value = String(entry ? entry.weight : 0);
+		});
+		specialInputs.forEach(([name, input]) => {
+			if (input) input.value = String(Math.round((v.specials && v.specials[name] || 0) * 100));
+		});
+		if (errorEl) errorEl.textContent = '';
+	}
+
+	function read() {
+		const base = Math.round(Number(baseInput.value));
+		const spawnTable = [];
+		weightInputs.forEach((input, i) => {
+			const weight = input ? Number(input.value) : 0;
+			if (weight !== 0) spawnTable.push({ value: base * 2 ** i, weight });
+		});
+		const v = { size: Number(sizeSel.value), tileValue: base, target: Number(targetSel.value), spawnTable };
+		// Chances are entered in percent; leaving them all at 0 keeps the plain rules
+		const specials = {};
+		specialInputs.forEach(([name, input]) => {
+			const percent = input ? Number(input.value) : 0;
+			if (percent !== 0) specials[name] = percent / 100;
+		});
+		if (Object.keys(specials).length) v.specials = specials;
+		return v;
+	}
+
+	presetSel.addEventListener('change', () => {
+		if (VARIANT_PRESETS[presetSel.value]) fill(VARIANT_PRESETS[presetSel.value]);
+	});
+	baseInput.addEventListener('change', () => {
+		const base = Math.round(Number(baseInput.value));
+		if (!(base >= 1)) return;
+		// Keep the same number of doublings when the base changes
+		const rank = Math.round(Math.log2(Number(targetSel.value) / targetBase)) || 10;
+		fillTargets(base, base * 2 ** rank);
+		fillSpawnLabels(base);
+	});
+	[sizeSel, baseInput, targetSel, ...weightInputs, ...specialInputs.map(([, input]) => input)].forEach(el => {
+		if (el) el.addEventListener('change', () => { presetSel.value = variantPresetName(read()); });
+	});
+
+	applyBtn.addEventListener('click', () => {
+		const v = read();
+		const errors = validateVariant(v);
+		if (errors.length) {
+			if (errorEl) errorEl.textContent = errors.map(code => t(`variantErrors.${code}`, { min: MIN_SIZE, max: MAX_SIZE })).join(' ');
+			return;
+		}
+		if (!confirmDiscard()) return;
+		settings.variant = v;
+		saveSettings();
+		fill(v);
+		closeModal();
+		resetGame();
+		applyI18n();
+		announce(t('variantApplied'));
+	});
+
+	fill(settings.variant);
+}
+
+function describeSpawns(g) {
+	const total = g.spawnTable.reduce((sum, e) => sum + e.weight, 0);
+	return g.spawnTable.map(e => t('spawnShare', {
+		value: String(e.value),
+		percent: i18n.formatNumber(e.weight / total, { style: 'percent' }),
+	})).join(' / ');
+}
+
+// Texts that depend on the variant; every other data-i18n element is a plain catalog string.
+const VARIANT_TEXT_KEYS = ['subtitle', 'rule1', 'rule2', 'rule5', 'matchVersusHelp', 'matchHotseatHelp'];
+
+function variantText(key, g) {
+	const mixed = g.spawnTable.length > 1 && i18n.has(`${key}Mixed`);
+	return t(mixed ? `${key}Mixed` : key, {
+		size: g.size,
+		base: String(g.tileValue),
+		target: String(g.target),
+		spawns: mixed ? describeSpawns(g) : '',
+	});
+}
+
+// AI hint and autoplay. The expectimax search (ai.js) runs in ai-worker.js; replies for a
+// board that has changed in the meantime are ignored.
+let aiWorker = null; // Worker, or false when workers are unavailable
+const AI_BLOCKED_KEYS = { daily: 'dailyNoAi', challenge: 'challengeNoAi', puzzle: 'puzzleNoAi' };
+let aiRequestId = 0;
+const aiPending = new Map();
+const autoplay = { on: false, timer: null };
+
+function boardKey(b) {
+	return b.map(row => row.join(',')).join('/');
+}
+
+function getAiWorker() {
+	if (aiWorker === null) {
+		try {
+			aiWorker = new Worker('ai-worker.js');
+			aiWorker.onmessage = (e) => {
+				const pending = aiPending.get(e.data.id);
+				if (!pending) return;
+				aiPending.delete(e.data.id);
+				pending.resolve(e.data);
+			};
+			aiWorker.onerror = () => {
+				aiWorker = false;
+				for (const pending of aiPending.values()) pending.reject(new Error('AI worker failed'));
+				aiPending.clear();
+			};
+		} catch (_) {
+			aiWorker = false;
+		}
+	}
+	return aiWorker || null;
+}
+
+// Resolves with { direction, scores, depth, key } where key identifies the board that was searched.
+function requestBestMove() {
+	const worker = getAiWorker();
+	if (!worker) return Promise.reject(new Error('Web Workers are unavailable'));
+	const id = ++aiRequestId;
+	const key = boardKey(game.board);
+	return new Promise((resolve, reject) => {
+		aiPending.set(id, { resolve: (data) => resolve({ ...data, key }), reject });
+		worker.postMessage({ id, board: cloneBoard(game.board), spawnTable: game.spawnTable, depth: settings.aiDepth, timeMs: settings.aiTimeMs });
+	});
+}
+
+const DIRECTION_BUTTONS = { [Direction.Up]: 'btnUp', [Direction.Down]: 'btnDown', [Direction.Left]: 'btnLeft', [Direction.Right]: 'btnRight' };
+
+function clearHint() {
+	document.querySelectorAll('.control-btn.hint').forEach(el => el.classList.remove('hint'));
+}
+
+function showHint() {
+	if (replayView || match) return;
+	if (mode !== 'classic') { announce(t(AI_BLOCKED_KEYS[mode])); return; }
+	requestBestMove().then((res) => {
+		if (res.key !== boardKey(game.board)) return; // board moved on while searching
+		clearHint();
+		if (!res.direction) { announce(t('hintNone')); return; }
+		const btn = document.getElementById(DIRECTION_BUTTONS[res.direction]);
+		if (btn) btn.classList.add('hint');
+		announce(t('hintResult', { direction: t(`directions.${res.direction}`) }));
+	}, () => announce(t('aiUnavailable')));
+}
+
+function setAutoplay(on) {
+	if (on && mode !== 'classic') { announce(t(AI_BLOCKED_KEYS[mode])); on = false; }
+	autoplay.on = on && !replayView && !match;
+	clearTimeout(autoplay.timer);
+	const btn = document.getElementById('autoplayBtn');
+	if (btn) {
+		btn.setAttribute('aria-pressed', String(autoplay.on));
+		btn.classList.toggle('active', autoplay.on);
+	}
+	if (autoplay.on) scheduleAutoplay(0);
+}
+
+function scheduleAutoplay(delay = settings.autoplayDelay) {
+	clearTimeout(autoplay.timer);
+	autoplay.timer = setTimeout(autoplayStep, delay);
+}
+
+function autoplayStep() {
+	if (!autoplay.on) return;
+	if (replayView || match || modalEl.classList.contains('open')) { setAutoplay(false); return; }
+	if (inputLocked) { scheduleAutoplay(); return; }
+	requestBestMove().then((res) => {
+		if (!autoplay.on) return;
+		if (res.key !== boardKey(game.board) || inputLocked) { scheduleAutoplay(); return; }
+		if (!res.direction) { setAutoplay(false); return; }
+		handleMove(res.direction); // playMove schedules the next step when the animation ends
+	}, () => {
+		setAutoplay(false);
+		announce(t('aiUnavailable'));
+	});
+}
+
+function setupAiControls() {
+	const hintBtn = document.getElementById('hintBtn');
+	if (hintBtn) hintBtn.addEventListener('click', showHint);
+	const autoplayBtn = document.getElementById('autoplayBtn');
+	if (autoplayBtn) autoplayBtn.addEventListener('click', () => setAutoplay(!autoplay.on));
+
+	const bindSelect = (id, key) => {
+		const sel = document.getElementById(id);
+		if (!sel) return;
+		sel.value = String(settings[key]);
+		sel.addEventListener('change', () => {
+			settings[key] = Number(sel.value);
+			saveSettings();
+		});
+	};
+	bindSelect('autoplaySpeed', 'autoplayDelay');
+	bindSelect('aiDepth', 'aiDepth');
+	bindSelect('aiTime', 'aiTimeMs');
+}
+
+// Post-game report: replays the recorded moves of a lost classic game and has the AI worker grade
+// each one with a short search. Flagged positions can be played again from the move before.
+const REPORT_DEPTH = 2;
+const REPORT_TIME_MS = 40;
+const REPORT_BLUNDERS_SHOWN = 5;
+const SVG_NS = 'http://www.w3.org/2000/svg';
+let report = null; // { game, moves, frames, results, running, failed }
+
+// Resolves with Ai3072.analyzeMove's result for `played` on `board`.
+function requestAnalysis(board, played, spawnTable) {
+	const worker = getAiWorker();
+	if (!worker) return Promise.reject(new Error('Web Workers are unavailable'));
+	const id = ++aiRequestId;
+	return new Promise((resolve, reject) => {
+		aiPending.set(id, { resolve, reject });
+		worker.postMessage({ id, board, spawnTable, depth: REPORT_DEPTH, timeMs: REPORT_TIME_MS, played });
+	});
+}
+
+function openReport() {
+	let timeline;
+	try {
+		timeline = buildTimeline(replay);
+	} catch (_) {
+		announce(t('reportUnavailable'));
+		return;
+	}
+	closeModal();
+	report = { game, moves: replay.moves.slice(), frames: timeline.frames, results: [], running: true, failed: false };
+	const section = document.getElementById('report');
+	if (section) {
+		section.hidden = false;
+		section.scrollIntoView({ behavior: 'smooth', block: 'start' });
+	}
+	renderReport();
+	analyzeReport(report);
+}
+
+// Grades one move at a time so the worker stays free for hints between requests.
+function analyzeReport(current) {
+	const i = current.results.length;
+	if (!current.running) return;
+	if (i >= current.moves.length) {
+		current.running = false;
+		renderReport();
+		announce(t('reportDone'));
+		return;
+	}
+	requestAnalysis(current.frames[i].board, current.moves[i].direction, current.frames[i].spawnTable).then((result) => {
+		if (report !== current || !current.running) return;
+		current.results.push(result);
+		renderReportProgress();
+		analyzeReport(current);
+	}, () => {
+		if (report !== current) return;
+		current.running = false;
+		current.failed = true;
+		renderReport();
+	});
+}
+
+function stopReport() {
+	if (!report || !report.running) return;
+	report.running = false;
+	renderReport();
+}
+
+function closeReport() {
+	report = null;
+	const section = document.getElementById('report');
+	if (section) section.hidden = true;
+}
+
+// Puts the lost game back to the position before move `index` with the same spawns to come.
+// The game keeps its recorded result, so finishing it again only updates the final tile.
+function tryFromReport(index) {
+	if (!report) return;
+	if (report.game !== game || mode !== 'classic' || match) { announce(t('reportStale')); return; }
+	if (replayView) closeReplayViewer();
+	setAutoplay(false);
+	clearHint();
+	closeModal();
+	game.restore(report.frames[index]);
+	replay.moves = report.moves.slice(0, index);
+	moveHistory = createHistory({ undoLimit: moveHistory.undoLimit });
+	run.undoUsed = true; // taking moves back, as far as the leaderboard is concerned
+	cancelPendingMoves();
+	renderBoard();
+	saveState();
+	if (boardEl) {
+		boardEl.scrollIntoView({ behavior: 'smooth', block: 'center' });
+		boardEl.focus();
+	}
+	announce(t('reportTrying', { move: index + 1 }));
+}
+
+function reportCounts(results) {
+	const counts = { best: 0, good: 0, inaccuracy: 0, blunder: 0 };
+	for (const r of results) if (r.grade) counts[r.grade] += 1;
+	return counts;
+}
+
+function renderReportProgress() {
+	if (!report) return;
+	const progress = document.getElementById('reportProgress');
+	if (progress) {
+		progress.hidden = !report.running;
+		progress.max = Math.max(1, report.moves.length);
+		progress.value = report.results.length;
+	}
+	const status = document.getElementById('reportStatus');
+	if (!status) return;
+	if (report.running) {
+		status.textContent = t('reportRunning', { move: report.results.length + 1, total: report.moves.length });
+		return;
+	}
+	if (report.failed) {
+		status.textContent = t('aiUnavailable');
+		return;
+	}
+	const analyzed = report.results.length;
+	const counts = reportCounts(report.results);
+	const text = t('reportSummary', {
+		moves: analyzed,
+		accuracy: analyzed ? i18n.formatNumber((counts.best + counts.good) / analyzed, { style: 'percent' }) : '—',
+		inaccuracies: counts.inaccuracy,
+		blunders: counts.blunder,
+	});
+	status.textContent = analyzed < report.moves.length ? `${t('reportStopped', { move: analyzed, total: report.moves.length })} ${text}` : text;
+}
+
+function renderReport() {
+	if (!report) return;
+	renderReportProgress();
+	const stopBtn = document.getElementById('reportStopBtn');
+	if (stopBtn) stopBtn.hidden = !report.running;
+	drawReportChart();
+	renderReportBlunders();
+}
+
+// Highest tile (by rank, so each doubling is one step) and empty cells after every move, each
+// scaled to the chart height, with a mark at every blunder.
+function drawReportChart() {
+	const svg = document.getElementById('reportChart');
+	if (!svg) return;
+	const width = 320, height = 120, pad = 4;
+	svg.setAttribute('viewBox', `0 0 ${width} ${height}`);
+	svg.innerHTML = '';
+	const { frames, results } = report;
+	const base = frames[0].tileValue;
+	const cells = frames[0].size * frames[0].size;
+	const ranks = frames.map(f => Math.log2(Math.max(base, maxTile(f.board)) / base) + 1);
+	const peak = Math.max(...ranks);
+	const x = i => pad + (i / Math.max(1, frames.length - 1)) * (width - 2 * pad);
+	const y = share => height - pad - share * (height - 2 * pad);
+	const line = (className, values) => {
+		const el = document.createElementNS(SVG_NS, 'polyline');
+		el.setAttribute('class', className);
+		el.setAttribute('points', values.map((v, i) => `${x(i).toFixed(1)},${y(v).toFixed(1)}`).join(' '));
+		svg.appendChild(el);
+	};
+	results.forEach((r, i) => {
+		if (r.grade !== 'blunder') return;
+		const mark = document.createElementNS(SVG_NS, 'line');
+		mark.setAttribute('class', 'report-mark');
+		mark.setAttribute('x1', x(i).toFixed(1));
+		mark.setAttribute('x2', x(i).toFixed(1));
+		mark.setAttribute('y1', String(pad));
+		mark.setAttribute('y2', String(height - pad));
+		const title = document.createElementNS(SVG_NS, 'title');
+		title.textContent = t('reportMove', { move: i + 1 });
+		mark.appendChild(title);
+		svg.appendChild(mark);
+	});
+	line('report-line-empty', frames.map(f => getEmptyCells(f.board).length / cells));
+	line('report-line-tile', ranks.map(r => r / peak));
+}
+
+function renderReportBlunders() {
+	const list = document.getElementById('reportBlunders');
+	if (!list) return;
+	list.innerHTML = '';
+	const number = n => i18n.formatNumber(n, { maximumFractionDigits: 1 });
+	const worst = report.results
+		.map((r, index) => ({ ...r, index }))
+		.filter(r => r.grade === 'blunder')
+		.sort((a, b) => b.loss - a.loss || a.index - b.index)
+		.slice(0, REPORT_BLUNDERS_SHOWN);
+	if (worst.length === 0) {
+		const li = document.createElement('li');
+		li.className = 'report-empty';
+		li.textContent = t(report.running ? 'reportWaiting' : 'reportNoBlunders');
+		list.appendChild(li);
+		return;
+	}
+	for (const r of worst) {
+		const li = document.createElement('li');
+		li.className = 'report-blunder';
+		const info = document.createElement('div');
+		info.className = 'report-blunder-info';
+		const head = document.createElement('div');
+		head.className = 'report-blunder-head';
+		head.textContent = t('reportBlunder', {
+			move: r.index + 1,
+			played: t(`directions.${r.played}`),
+			best: t(`directions.${r.direction}`),
+		});
+		const detail = document.createElement('div');
+		detail.className = 'report-blunder-detail';
+		detail.textContent = t('reportDetail', {
+			empty: r.features.empty,
+			monotonicity: number(r.features.monotonicity),
+			played: number(r.scores[r.played]),
+			best: number(r.scores[r.direction]),
+		});
+		info.append(head, detail);
+		const tryBtn = document.createElement('button');
+		tryBtn.className = 'btn-secondary';
+		tryBtn.textContent = t('reportTry');
+		tryBtn.addEventListener('click', () => tryFromReport(r.index));
+		li.append(info, tryBtn);
+		list.appendChild(li);
+	}
+}
+
+function setupReportControls() {
+	const openBtn = document.getElementById('modalReportBtn');
+	if (openBtn) openBtn.addEventListener('click', openReport);
+	const stopBtn = document.getElementById('reportStopBtn');
+	if (stopBtn) stopBtn.addEventListener('click', stopReport);
+	const closeBtn = document.getElementById('reportCloseBtn');
+	if (closeBtn) closeBtn.addEventListener('click', closeReport);
+}
+
+// Daily challenge: everyone gets the same seed for a local calendar date, one attempt per day,
+// played in its own save slot with undo and AI help disabled.
+const SHARE_EMOJI = ['⬜', '🟫', '🟥', '🟧', '🟨', '🟩', '🟦', '🟪', '⬛']; // empty, then base, 2×base … 128×base and up
+
+function localDateKey(d = new Date()) {
+	const pad = (n) => String(n).padStart(2, '0');
+	return `${d.getFullYear()}-${pad(d.getMonth() + 1)}-${pad(d.getDate())}`;
+}
+
+function previousDateKey(key) {
+	const [y, m, d] = key.split('-').map(Number);
+	return localDateKey(new Date(y, m - 1, d - 1));
+}
+
+function dailyFinished() {
+	return mode === 'daily' && !!dailyStats.results[dailyDate];
+}
+
+function dailySeed(dateKey) {
+	return hashSeed(`3072-daily-${dateKey}`);
+}
+
+function loadDailyStats() {
+	try {
+		const raw = localStorage.getItem(DAILY_STATS_KEY);
+		return { streak: 0, bestStreak: 0, lastDate: null, results: {}, ...(raw ? JSON.parse(raw) : {}) };
+	} catch (_) {
+		return { streak: 0, bestStreak: 0, lastDate: null, results: {} };
+	}
+}
+
+function saveDailyStats() {
+	try {
+		localStorage.setItem(DAILY_STATS_KEY, JSON.stringify(dailyStats));
+	} catch (_) {}
+}
+
+// A streak is only current if the last finished daily was today or yesterday.
+function currentStreak() {
+	const today = localDateKey();
+	const last = dailyStats.lastDate;
+	return last === today || last === previousDateKey(today) ? dailyStats.streak : 0;
+}
+
+function startDaily() {
+	const today = localDateKey();
+	if (dailyStats.results[today] || mode === 'daily') return;
+	exitMatch();
+	if (replayView) closeReplayViewer();
+	setAutoplay(false);
+	closeModal();
+	if (mode === 'challenge') leaveChallenge(); // the run is dropped, the classic game is already parked
+	else if (mode === 'puzzle') leavePuzzle();
+	else saveState(); // park the classic game
+	mode = 'daily';
+	dailyDate = today;
+	if (!loadState(DAILY_KEY, today)) {
+		game = new Game({ ...VARIANT_PRESETS.classic3072, seed: dailySeed(today) });
+		game.reset();
+		replay = createReplay(game);
+		moveHistory = createHistory();
+		moveHistory.undoLimit = 0;
+		recordedMaxTile = 0;
+		run = newRun();
+		keepPlaying = false;
+		milestone = 0;
+		cancelPendingMoves();
+		saveState();
+	}
+	renderBoard();
+	renderDaily();
+	applyI18n();
+	announce(t('dailyStarted', { date: today }));
+}
+
+// Saves the daily game and switches back to the classic slot without loading it.
+function leaveDaily() {
+	saveState();
+	mode = 'classic';
+	dailyDate = null;
+	renderDaily();
+}
+
+function exitDaily() {
+	if (mode !== 'daily') return;
+	if (replayView) closeReplayViewer();
+	leaveDaily();
+	if (loadState()) {
+		renderBoard();
+		saveState();
+	} else {
+		resetGame();
+	}
+	applyI18n();
+}
+
+function finishDaily(won) {
+	const result = { won, steps: game.moveCount, score: game.score, maxTile: game.maxTile(), board: cloneBoard(game.board) };
+	if (!dailyStats.results[dailyDate]) {
+		dailyStats.results[dailyDate] = result;
+		dailyStats.streak = dailyStats.lastDate === previousDateKey(dailyDate) ? dailyStats.streak + 1 : 1;
+		dailyStats.bestStreak = Math.max(dailyStats.bestStreak, dailyStats.streak);
+		dailyStats.lastDate = dailyDate;
+		saveDailyStats();
+	}
+	try { localStorage.removeItem(DAILY_KEY); } catch (_) {}
+	recordRun(won);
+	const title = t(won ? 'winTitle' : 'loseTitle');
+	openModal(title, dailyResultText(result), { outcome: won ? 'win' : 'lose', shareText: dailyShareText(dailyDate, result), card: resultCard(won) });
+	announce(title);
+	renderDaily();
+}
+
+function dailyResultText(result) {
+	return t('dailyResult', { count: result.steps, score: result.score, maxTile: String(result.maxTile) });
+}
+
+function dailyShareText(date, result) {
+	const grid = emojiGrid(result.board, VARIANT_PRESETS.classic3072.tileValue);
+	return `${t('dailyShareHeader', { date })}\n${result.won ? '🏆' : '💀'} ${dailyResultText(result)}\n${grid}`;
+}
+
+// Shares through the share sheet, else copies; where neither works the text is shown for copying by hand.
+function shareText(text) {
+	const copied = () => { showToast(t('copied')); announce(t('copied')); };
+	const copy = () => {
+		if (navigator.clipboard && navigator.clipboard.writeText) navigator.clipboard.writeText(text).then(copied, () => showShareFallback(text));
+		else showShareFallback(text);
+	};
+	if (navigator.share) {
+		navigator.share({ text }).catch((e) => { if (!e || e.name !== 'AbortError') copy(); });
+	} else {
+		copy();
+	}
+}
+
+// Shows the text selected in the open result dialog, else in the daily card's summary.
+function showShareFallback(text) {
+	const pre = document.getElementById(modalEl.classList.contains('open') ? 'modalShareText' : 'dailySummary');
+	if (pre) {
+		pre.textContent = text;
+		pre.hidden = false;
+		const selection = window.getSelection && window.getSelection();
+		if (selection) selection.selectAllChildren(pre);
+	}
+	showToast(t('shareFailed'));
+	announce(t('shareFailed'));
+}
+
+// The summary stays on the daily card so it can be copied by hand where sharing is unavailable.
+function showDailySummary(text) {
+	const pre = document.getElementById('dailySummary');
+	if (pre) { pre.textContent = text; pre.hidden = false; }
+}
+
+function renderDaily() {
+	const today = localDateKey();
+	const result = dailyStats.results[today];
+	const set = (id, text) => { const el = document.getElementById(id); if (el) el.textContent = text; };
+	set('dailyStreak', i18n.formatNumber(currentStreak()));
+	set('dailyBestStreak', i18n.formatNumber(dailyStats.bestStreak));
+	let status;
+	if (result) status = `${t('dailyDone', { date: today })} ${dailyResultText(result)}`;
+	else if (mode === 'daily') status = t('dailyInProgress', { date: dailyDate });
+	else status = t('dailyReady', { date: today });
+	set('dailyStatus', status);
+
+	const playBtn = document.getElementById('dailyPlayBtn');
+	if (playBtn) {
+		playBtn.hidden = mode === 'daily' || !!result;
+		playBtn.textContent = t(localStorage.getItem(DAILY_KEY) ? 'dailyResume' : 'dailyPlay');
+	}
+	const exitBtn = document.getElementById('dailyExitBtn');
+	if (exitBtn) exitBtn.hidden = mode !== 'daily';
+	const shareBtn = document.getElementById('dailyShareBtn');
+	if (shareBtn) shareBtn.hidden = !result;
+	const pre = document.getElementById('dailySummary');
+	if (pre && result) pre.textContent = dailyShareText(today, result);
+	if (pre && !result) pre.hidden = true;
+
+	const banner = document.getElementById('modeBanner');
+	if (banner) {
+		banner.hidden = mode !== 'daily';
+		banner.textContent = mode === 'daily' ? t('dailyBanner', { date: dailyDate }) : '';
+	}
+	document.body.classList.toggle('daily-mode', mode === 'daily');
+	if (restartBtn) restartBtn.disabled = mode === 'daily';
+}
+
+function setupDailyControls() {
+	const on = (id, fn) => { const el = document.getElementById(id); if (el) el.addEventListener('click', fn); };
+	on('dailyPlayBtn', startDaily);
+	on('dailyExitBtn', exitDaily);
+	on('dailyShareBtn', () => {
+		const today = localDateKey();
+		const result = dailyStats.results[today];
+		if (!result) return;
+		shareText(dailyShareText(today, result));
+		showDailySummary(dailyShareText(today, result));
+	});
+}
+
+// Share cards: the result of a finished game as a PNG drawn on a canvas in the current theme and
+// language, or as an emoji grid. Shared with the Web Share API where it takes files, otherwise the
+// image is downloaded and the text copied.
+const SHARE_CARD_WIDTH = 540;
+const SHARE_CARD_SCALE = 2; // pixels per CSS pixel, so the image stays sharp on phones
+let modalShareCard = null; // the card offered by the open modal
+
+// Everything the card shows, captured when the game ends.
+function resultCard(won) {
+	return {
+		won,
+		board: cloneBoard(game.board),
+		tileValue: game.tileValue,
+		steps: game.moveCount,
+		score: game.score,
+		maxTile: game.maxTile(),
+		date: new Date(),
+	};
+}
+
+function emojiGrid(board, base) {
+	return board.map(row => row.map((v) => {
+		if (v < 0) return SPECIAL_TILES[v].emoji;
+		const rank = v ? Math.round(Math.log2(v / base)) + 1 : 0;
+		return SHARE_EMOJI[Math.min(SHARE_EMOJI.length - 1, rank)];
+	}).join('')).join('\n');
+}
+
+function cardShareText(card) {
+	const header = t('shareHeader', { title: card.title, date: i18n.formatDate(card.date, { dateStyle: 'medium' }) });
+	return `${header}\n${card.won ? '🏆' : '💀'} ${dailyResultText(card)}\n${emojiGrid(card.board, card.tileValue)}`;
+}
+
+function roundRectPath(ctx, x, y, w, h, r) {
+	ctx.beginPath();
+	ctx.moveTo(x + r, y);
+	ctx.arcTo(x + w, y, x + w, y + h, r);
+	ctx.arcTo(x + w, y + h, x, y + h, r);
+	ctx.arcTo(x, y + h, x, y, r);
+	ctx.arcTo(x, y, x + w, y, r);
+	ctx.closePath();
+}
+
+// Colors come from the theme's CSS variables and tileColors(), text from the catalogs.
+function drawShareCard(card) {
+	const css = getComputedStyle(document.documentElement);
+	const color = (name, fallback) => css.getPropertyValue(name).trim() || fallback;
+	const font = getComputedStyle(document.body).fontFamily || 'system-ui, sans-serif';
+	const pad = 28;
+	const boardSize = SHARE_CARD_WIDTH - pad * 2;
+	const boardTop = 104;
+	const statsTop = boardTop + boardSize + 28;
+	const height = statsTop + 64 + pad;
+
+	const canvas = document.createElement('canvas');
+	canvas.width = SHARE_CARD_WIDTH * SHARE_CARD_SCALE;
+	canvas.height = height * SHARE_CARD_SCALE;
+	const ctx = canvas.getContext('2d');
+	ctx.scale(SHARE_CARD_SCALE, SHARE_CARD_SCALE);
+	ctx.fillStyle = color('--page-bg', '#f3f4f6');
+	ctx.fillRect(0, 0, SHARE_CARD_WIDTH, height);
+
+	ctx.textBaseline = 'alphabetic';
+	ctx.textAlign = 'left';
+	ctx.fillStyle = color('--heading', '#000');
+	ctx.font = `900 30px ${font}`;
+	ctx.fillText(t('title'), pad, 52, boardSize);
+	ctx.fillStyle = color('--muted-strong', '#4b5563');
+	ctx.font = `700 17px ${font}`;
+	ctx.fillText(`${card.won ? '🏆' : '💀'} ${card.title} · ${i18n.formatDate(card.date, { dateStyle: 'long' })}`, pad, 82, boardSize);
+
+	const n = card.board.length;
+	const gap = Math.round(boardSize * 0.025);
+	const cell = (boardSize - gap * (n + 1)) / n;
+	ctx.fillStyle = color('--board-bg', '#bbada0');
+	roundRectPath(ctx, pad, boardTop, boardSize, boardSize, 14);
+	ctx.fill();
+	ctx.textAlign = 'center';
+	ctx.textBaseline = 'middle';
+	card.board.forEach((row, r) => row.forEach((v, c) => {
+		const x = pad + gap + c * (cell + gap);
+		const y = boardTop + gap + r * (cell + gap);
+		const special = v < 0 ? SPECIAL_TILES[v] : null;
+		const colors = special ? { bg: special.color, fg: '#ffffff' } : v ? tileColors(v, card.tileValue) : { bg: color('--cell-bg', '#cdc1b4') };
+		ctx.fillStyle = colors.bg;
+		roundRectPath(ctx, x, y, cell, cell, 8);
+		ctx.fill();
+		const label = special ? special.symbol : v ? String(v) : '';
+		if (!label) return;
+		const digits = Math.max(2, label.length);
+		ctx.fillStyle = colors.fg;
+		ctx.font = `800 ${Math.round(cell * Math.min(0.45, 1.1 / digits))}px ${font}`;
+		ctx.fillText(label, x + cell / 2, y + cell / 2 + 1, cell - 8);
+	}));
+
+	const stats = [
+		[t('score'), i18n.formatNumber(card.score)],
+		[t('steps'), i18n.formatNumber(card.steps)],
+		[t('statHighest'), String(card.maxTile)],
+	];
+	const column = boardSize / stats.length;
+	stats.forEach(([label, value], i) => {
+		const x = pad + column * i + column / 2;
+		ctx.textBaseline = 'alphabetic';
+		ctx.fillStyle = color('--muted', '#6b7280');
+		ctx.font = `700 14px ${font}`;
+		ctx.fillText(label, x, statsTop + 16, column - 8);
+		ctx.fillStyle = color('--ink', '#1f2937');
+		ctx.font = `900 30px ${font}`;
+		ctx.fillText(value, x, statsTop + 54, column - 8);
+	});
+	return canvas;
+}
+
+function downloadBlob(blob, name) {
+	const url = URL.createObjectURL(blob);
+	const link = document.createElement('a');
+	link.href = url;
+	link.download = name;
+	document.body.appendChild(link);
+	link.click();
+	link.remove();
+	setTimeout(() => URL.revokeObjectURL(url), 1000);
+}
+
+function shareImage(card) {
+	let canvas;
+	try {
+		canvas = drawShareCard(card);
+	} catch (_) {
+		announce(t('shareFailed'));
+		return;
+	}
+	const name = `3072-${localDateKey(card.date)}.png`;
+	const saved = () => { showToast(t('shareSaved')); announce(t('shareSaved')); };
+	canvas.toBlob((blob) => {
+		if (!blob) { announce(t('shareFailed')); return; }
+		const file = typeof File === 'function' ? new File([blob], name, { type: 'image/png' }) : null;
+		if (file && navigator.share && navigator.canShare && navigator.canShare({ files: [file] })) {
+			navigator.share({ files: [file], title: t('title') }).catch((e) => {
+				if (!e || e.name !== 'AbortError') { downloadBlob(blob, name); saved(); }
+			});
+			return;
+		}
+		downloadBlob(blob, name);
+		saved();
+	}, 'image/png');
+}
+
+// Challenge modes (challenge.js): Time Attack, Move Limit and Sprint runs on the classic 3072
+// board. Runs are never saved and allow no undo or AI help; every mode and goal keeps its own best.
+const CLOCK_TICK_MS = 50;
+
+function loadChallengeBests() {
+	try {
+		const raw = localStorage.getItem(CHALLENGE_BESTS_KEY);
+		return raw ? JSON.parse(raw) : {};
+	} catch (_) {
+		return {};
+	}
+}
+
+function saveChallengeBests() {
+	try {
+		localStorage.setItem(CHALLENGE_BESTS_KEY, JSON.stringify(challengeBests));
+	} catch (_) {}
+}
+
+function startChallenge(id, optionIndex = CHALLENGES[id].defaultOption) {
+	const option = CHALLENGES[id] && CHALLENGES[id].options[optionIndex];
+	if (!option) return;
+	exitMatch();
+	if (replayView) closeReplayViewer();
+	setAutoplay(false);
+	clearHint();
+	closeModal();
+	if (mode === 'daily') leaveDaily();
+	else if (mode === 'challenge') stopChallengeClock();
+	else if (mode === 'puzzle') leavePuzzle();
+	else saveState(); // park the classic game
+	mode = 'challenge';
+	challenge = { id, optionIndex, option, elapsed: 0, since: null, paused: false, timer: null, result: null };
+	game = new Game({ ...VARIANT_PRESETS.classic3072 });
+	game.reset();
+	replay = createReplay(game);
+	moveHistory = createHistory();
+	moveHistory.undoLimit = 0;
+	recordedMaxTile = 0;
+	run = newRun();
+	keepPlaying = false;
+	milestone = 0;
+	cancelPendingMoves();
+	renderBoard();
+	applyI18n();
+	announce(t('challengeStarted', { name: challengeName(id, option) }));
+}
+
+// Drops the run and switches back to the classic slot without loading it.
+function leaveChallenge() {
+	stopChallengeClock();
+	challenge = null;
+	mode = 'classic';
+	renderChallenge();
+}
+
+function exitChallenge() {
+	if (mode !== 'challenge') return;
+	if (replayView) closeReplayViewer();
+	closeModal();
+	leaveChallenge();
+	if (loadState()) {
+		renderBoard();
+		saveState();
+	} else {
+		resetGame();
+	}
+	applyI18n();
+}
+
+function challengeElapsed() {
+	return challenge.elapsed + (challenge.since == null ? 0 : performance.now() - challenge.since);
+}
+
+// The clock starts with the first move of a run.
+function startChallengeClock() {
+	if (!challenge || challenge.since != null || challenge.paused || !CHALLENGES[challenge.id].clock) return;
+	challenge.since = performance.now();
+	challenge.timer = setInterval(tickChallenge, CLOCK_TICK_MS);
+}
+
+function stopChallengeClock() {
+	if (!challenge || challenge.since == null) return;
+	challenge.elapsed = challengeElapsed();
+	challenge.since = null;
+	clearInterval(challenge.timer);
+}
+
+// A countdown that runs out between moves ends the run here; a move still animating is
+// checked by handleWinLoseAfterRender when it lands.
+function tickChallenge() {
+	renderChallengeClock();
+	if (!inputLocked) checkChallenge();
+}
+
+function challengeCanMove() {
+	if (!challenge || challenge.result || challenge.paused) return false;
+	return inputLocked || !checkChallenge();
+}
+
+// True once the run is over, like handleWinLoseAfterRender.
+function checkChallenge() {
+	if (!challenge) return false;
+	if (challenge.result) return true;
+	const run = { score: game.score, maxTile: game.maxTile(), moveCount: game.moveCount, elapsed: challengeElapsed(), over: game.isOver() };
+	const outcome = CHALLENGES[challenge.id].outcome(challenge.option, run);
+	if (!outcome) return false;
+	finishChallenge(outcome);
+	return true;
+}
+
+function finishChallenge({ won, reason }) {
+	stopChallengeClock();
+	const { id, option } = challenge;
+	const def = CHALLENGES[id];
+	const elapsed = def.clock === 'countdown' ? Math.min(challengeElapsed(), def.limit(option)) : challengeElapsed();
+	const result = { won, reason, score: game.score, maxTile: game.maxTile(), steps: game.moveCount, ms: Math.round(elapsed) };
+	challenge.result = result;
+	const key = bestKey(id, option);
+	const previous = challengeBests[key];
+	const newBest = isNewBest(id, result, previous);
+	if (newBest) {
+		challengeBests[key] = result;
+		saveChallengeBests();
+	}
+	inputQueue.length = 0;
+	setAutoplay(false);
+	recordRun(won);
+	const title = t(`challengeEnd.${reason}`);
+	const lines = [challengeResultText(id, option, result)];
+	if (newBest) lines.push(t('challengeNewBest'));
+	else if (previous) lines.push(t('challengeBest', { result: challengeResultText(id, option, previous) }));
+	// Scored modes cannot be lost: only a new best is celebrated
+	const outcome = def.scored ? (newBest ? 'win' : null) : (won ? 'win' : 'lose');
+	if (outcome === 'win') playSound('win');
+	else { playSound('over'); vibrate([80, 60, 160]); }
+	openModal(title, lines.join('\n'), { outcome, card: resultCard(won) });
+	announce(`${title} ${lines.join(' ')}`);
+	renderChallenge();
+}
+
+// Pausing hides the board, so a paused countdown cannot be used to plan ahead.
+function pauseChallenge(paused) {
+	if (!challenge || challenge.result || !CHALLENGES[challenge.id].pausable || challenge.paused === paused) return;
+	challenge.paused = paused;
+	if (paused) stopChallengeClock();
+	else if (game.moveCount > 0) startChallengeClock();
+	renderChallengeBar();
+	announce(t(paused ? 'challengePaused' : 'challengeResumed'));
+}
+
+// m:ss, or m:ss.mmm for the sprint stopwatch. Countdowns round up so 0:00 means time is up.
+function formatClock(ms, precise = false) {
+	const total = Math.max(0, precise ? Math.floor(ms) : Math.ceil(ms / 1000) * 1000);
+	const minutes = Math.floor(total / 60000);
+	const seconds = String(Math.floor(total / 1000) % 60).padStart(2, '0');
+	return precise ? `${minutes}:${seconds}.${String(total % 1000).padStart(3, '0')}` : `${minutes}:${seconds}`;
+}
+
+function challengeParams(option) {
+	return { count: option.minutes, tile: String(option.tile), steps: option.steps };
+}
+
+function challengeName(id, option) {
+	return `${t(`challengeNames.${id}`)} · ${t(`challengeGoals.${id}`, challengeParams(option))}`;
+}
+
+function challengeResultText(id, option, result) {
+	const def = CHALLENGES[id];
+	if (def.scored) return t('challengeResults.score', { score: result.score, maxTile: String(result.maxTile) });
+	if (!result.won) return t('challengeResults.lost', { count: result.steps, maxTile: String(result.maxTile) });
+	if (def.clock === 'stopwatch') return t('challengeResults.time', { tile: String(option.tile), time: formatClock(result.ms, true) });
+	return t('challengeResults.steps', { count: result.steps, tile: String(option.tile) });
+}
+
+function renderChallenge() {
+	renderChallengePicker();
+	const exitBtn = document.getElementById('challengeExitBtn');
+	if (exitBtn) exitBtn.hidden = mode !== 'challenge';
+	document.body.classList.toggle('challenge-mode', mode === 'challenge');
+	renderChallengeBar();
+}
+
+// Fills the goal picker for the selected mode; the chosen goal survives a language change.
+function renderChallengePicker() {
+	const modeSel = document.getElementById('challengeMode');
+	const optionSel = document.getElementById('challengeOption');
+	if (!modeSel || !optionSel || !CHALLENGES[modeSel.value]) return;
+	const id = modeSel.value;
+	const def = CHALLENGES[id];
+	const index = optionSel.dataset.mode === id && def.options[optionSel.value] ? Number(optionSel.value) : def.defaultOption;
+	optionSel.textContent = '';
+	def.options.forEach((option, i) => optionSel.add(new Option(t(`challengeGoals.${id}`, challengeParams(option)), String(i))));
+	optionSel.value = String(index);
+	optionSel.dataset.mode = id;
+	const option = def.options[index];
+	const best = challengeBests[bestKey(id, option)];
+	const set = (elId, text) => { const el = document.getElementById(elId); if (el) el.textContent = text; };
+	set('challengeHelp', t(`challengeHelp.${id}`, challengeParams(option)));
+	set('challengeBest', best ? t('challengeBest', { result: challengeResultText(id, option, best) }) : t('challengeNoBest'));
+}
+
+function renderChallengeBar() {
+	const bar = document.getElementById('challengeBar');
+	if (boardEl) boardEl.classList.toggle('paused', !!(challenge && challenge.paused));
+	if (!bar) return;
+	bar.hidden = !challenge;
+	if (!challenge) return;
+	const { id, option, paused, result } = challenge;
+	const goalEl = document.getElementById('challengeGoal');
+	if (goalEl) goalEl.textContent = challengeName(id, option);
+	const pauseBtn = document.getElementById('challengePause');
+	if (pauseBtn) {
+		pauseBtn.hidden = !CHALLENGES[id].pausable || !!result;
+		pauseBtn.textContent = t(paused ? 'challengeResume' : 'challengePause');
+		pauseBtn.setAttribute('aria-pressed', String(paused));
+	}
+	renderChallengeClock();
+}
+
+// Countdown, stopwatch, or the steps left for modes without a clock.
+function renderChallengeClock() {
+	const clockEl = document.getElementById('challengeClock');
+	if (!clockEl || !challenge) return;
+	const { id, option, result } = challenge;
+	const def = CHALLENGES[id];
+	if (def.clock === 'countdown') clockEl.textContent = formatClock(result ? def.limit(option) - result.ms : def.limit(option) - challengeElapsed());
+	else if (def.clock === 'stopwatch') clockEl.textContent = formatClock(result ? result.ms : challengeElapsed(), true);
+	else clockEl.textContent = t('challengeStepsLeft', { count: Math.max(0, option.steps - game.moveCount) });
+}
+
+function setupChallengeControls() {
+	const on = (id, fn) => { const el = document.getElementById(id); if (el) el.addEventListener('click', fn); };
+	const modeSel = document.getElementById('challengeMode');
+	const optionSel = document.getElementById('challengeOption');
+	if (modeSel) {
+		modeSel.textContent = '';
+		for (const id of CHALLENGE_IDS) {
+			const opt = new Option(t(`challengeNames.${id}`), id);
+			opt.setAttribute('data-i18n', `challengeNames.${id}`);
+			modeSel.add(opt);
+		}
+		modeSel.addEventListener('change', renderChallengePicker);
+	}
+	if (optionSel) optionSel.addEventListener('change', renderChallengePicker);
+	on('challengeStartBtn', () => {
+		if (modeSel && optionSel) startChallenge(modeSel.value, Number(optionSel.value));
+	});
+	on('challengeExitBtn', exitChallenge);
+	on('challengePause', () => { if (challenge) pauseChallenge(!challenge.paused); });
+	document.addEventListener('visibilitychange', () => { if (document.hidden) pauseChallenge(true); });
+}
+
+// Puzzles (puzzle.js): handcrafted levels with a fixed board, scripted spawns and a goal. Runs are
+// never saved and allow undo but no AI help. Each built-in level unlocks once the one before it is
+// solved and keeps its best { steps, stars }.
+function loadPuzzleProgress() {
+	try {
+		const raw = localStorage.getItem(PUZZLE_PROGRESS_KEY);
+		return raw ? JSON.parse(raw) : {};
+	} catch (_) {
+		return {};
+	}
+}
+
+function savePuzzleProgress() {
+	try {
+		localStorage.setItem(PUZZLE_PROGRESS_KEY, JSON.stringify(puzzleProgress));
+	} catch (_) {}
+}
+
+function puzzleUnlocked(index) {
+	return index === 0 || !!puzzleProgress[LEVELS[index - 1].id];
+}
+
+function startPuzzle(level, index = -1) {
+	exitMatch();
+	if (replayView) closeReplayViewer();
+	setAutoplay(false);
+	clearHint();
+	closeModal();
+	if (mode === 'daily') leaveDaily();
+	else if (mode === 'challenge') leaveChallenge();
+	else if (mode !== 'puzzle') saveState(); // park the classic game
+	mode = 'puzzle';
+	puzzle = { level, index, result: null };
+	game = new Game({
+		size: level.size,
+		tileValue: level.tileValue,
+		target: level.goal.type === 'tile' ? level.goal.tile : level.tileValue * 2 ** 10,
+		board: level.board,
+		spawnScript: level.spawns,
+	});
+	replay = createReplay(game);
+	moveHistory = createHistory();
+	recordedMaxTile = 0;
+	run = newRun();
+	keepPlaying = false;
+	milestone = 0;
+	cancelPendingMoves();
+	renderBoard();
+	applyI18n();
+	announce(t('puzzleStarted', { name: puzzleName(level, index), goal: puzzleGoalText(level) }));
+}
+
+// Drops the puzzle and switches back to the classic slot without loading it.
+function leavePuzzle() {
+	puzzle = null;
+	mode = 'classic';
+	renderPuzzles();
+}
+
+function exitPuzzle() {
+	if (mode !== 'puzzle') return;
+	if (replayView) closeReplayViewer();
+	closeModal();
+	leavePuzzle();
+	if (loadState()) {
+		renderBoard();
+		saveState();
+	} else {
+		resetGame();
+	}
+	applyI18n();
+}
+
+// Returns true once the puzzle is over (and shows its result).
+function checkPuzzle() {
+	if (!puzzle) return false;
+	if (puzzle.result) return true;
+	const outcome = Puzzle3072.outcome(puzzle.level, { board: game.board, moveCount: game.moveCount, over: game.isOver() });
+	if (!outcome) return false;
+	finishPuzzle(outcome);
+	return true;
+}
+
+function finishPuzzle({ won, reason }) {
+	const { level, index } = puzzle;
+	const steps = game.moveCount;
+	const stars = won ? Puzzle3072.stars(level, steps) : 0;
+	puzzle.result = { won, reason, steps, stars };
+	const previous = index >= 0 ? puzzleProgress[level.id] : null;
+	const newBest = won && index >= 0 && (!previous || stars > previous.stars || (stars === previous.stars && steps < previous.steps));
+	if (newBest) {
+		puzzleProgress[level.id] = { steps, stars };
+		savePuzzleProgress();
+	}
+	inputQueue.length = 0;
+	recordRun(won);
+	const title = t(`puzzleEnd.${reason}`);
+	const lines = won ? [t('puzzleResult', { count: steps, stars: starText(stars) })] : [puzzleGoalText(level)];
+	if (newBest && previous) lines.push(t('puzzleNewBest'));
+	else if (previous) lines.push(t('puzzleBest', { count: previous.steps, stars: starText(previous.stars) }));
+	if (won) playSound('win');
+	else { playSound('over'); vibrate([80, 60, 160]); }
+	openModal(title, lines.join('\n'), { outcome: won ? 'win' : 'lose', next: won && index >= 0 && index + 1 < LEVELS.length, card: resultCard(won) });
+	announce(`${title} ${lines.join(' ')}`);
+	renderPuzzles();
+}
+
+function starText(stars) {
+	return '★'.repeat(stars) + '☆'.repeat(3 - stars);
+}
+
+function puzzleName(level, index) {
+	if (index >= 0) return t('puzzleLevelName', { n: index + 1, name: t(`puzzleLevels.${level.id}`) });
+	return level.name || t('puzzleCustom');
+}
+
+// e.g. "Make a 384 in 6 moves"
+function puzzleGoalText(level) {
+	const goal = t(`puzzleGoals.${level.goal.type}`, { tile: String(level.goal.tile) });
+	return level.goal.moves != null ? t('puzzleWithin', { goal, count: level.goal.moves }) : goal;
+}
+
+function renderPuzzles() {
+	const list = document.getElementById('puzzleLevels');
+	if (list) {
+		list.textContent = '';
+		LEVELS.forEach((level, index) => {
+			const best = puzzleProgress[level.id];
+			const unlocked = puzzleUnlocked(index);
+			const li = document.createElement('li');
+			const btn = document.createElement('button');
+			btn.className = 'btn-secondary puzzle-level';
+			btn.disabled = !unlocked;
+			if (puzzle && puzzle.index === index) btn.setAttribute('aria-current', 'true');
+			const name = document.createElement('span');
+			name.className = 'puzzle-level-name';
+			name.textContent = puzzleName(level, index);
+			const stars = document.createElement('span');
+			stars.className = 'puzzle-stars';
+			stars.setAttribute('aria-hidden', 'true');
+			stars.textContent = unlocked ? starText(best ? best.stars : 0) : '🔒';
+			btn.append(renderSlotThumb(level), name, stars);
+			const status = !unlocked ? t('puzzleLocked') : best ? t('puzzleStars', { count: best.stars }) : t('puzzleUnsolved');
+			btn.setAttribute('aria-label', t('puzzleLevelLabel', { name: puzzleName(level, index), goal: puzzleGoalText(level), status }));
+			btn.addEventListener('click', () => startPuzzle(level, index));
+			li.appendChild(btn);
+			list.appendChild(li);
+		});
+	}
+	const solved = LEVELS.filter(level => puzzleProgress[level.id]);
+	const progressEl = document.getElementById('puzzleProgress');
+	if (progressEl) {
+		progressEl.textContent = t('puzzleProgress', {
+			solved: solved.length,
+			total: LEVELS.length,
+			stars: solved.reduce((sum, level) => sum + puzzleProgress[level.id].stars, 0),
+			maxStars: LEVELS.length * 3,
+		});
+	}
+	const exitBtn = document.getElementById('puzzleExitBtn');
+	if (exitBtn) exitBtn.hidden = mode !== 'puzzle';
+	const editBtn = document.getElementById('puzzleEditBtn');
+	if (editBtn) editBtn.hidden = mode !== 'puzzle';
+	document.body.classList.toggle('puzzle-mode', mode === 'puzzle');
+	renderPuzzleBar();
+}
+
+function renderPuzzleBar() {
+	const bar = document.getElementById('puzzleBar');
+	if (!bar) return;
+	bar.hidden = !puzzle;
+	if (!puzzle) return;
+	const { level, index } = puzzle;
+	const goalEl = document.getElementById('puzzleGoal');
+	if (goalEl) goalEl.textContent = `${puzzleName(level, index)} · ${puzzleGoalText(level)}`;
+	const movesEl = document.getElementById('puzzleMoves');
+	if (movesEl) {
+		movesEl.textContent = level.goal.moves != null
+			? t('puzzleMovesLeft', { count: Math.max(0, level.goal.moves - game.moveCount) })
+			: t('puzzlePar', { par: level.par });
+	}
+}
+
+function setupPuzzleControls() {
+	const on = (id, fn) => { const el = document.getElementById(id); if (el) el.addEventListener('click', fn); };
+	on('puzzleExitBtn', exitPuzzle);
+	on('puzzleEditBtn', () => {
+		if (!puzzle) return;
+		const level = { ...puzzle.level, name: puzzleName(puzzle.level, puzzle.index) };
+		delete level.id;
+		loadEditorLevel(level);
+		const editor = document.getElementById('editor');
+		if (editor && editor.scrollIntoView) editor.scrollIntoView({ behavior: 'smooth' });
+	});
+}
+
+// Level editor: paint tiles onto a grid, set the goal and spawn script, test-play and move levels
+// in and out as JSON. The draft is kept in PUZZLE_DRAFT_KEY between visits.
+const EDITOR_RANKS = 12; // paintable tiles: base × 2^0 … 2^11
+let editorLevel = loadEditorDraft();
+let editorView = null; // { refresh, drawGrid } from setupLevelEditor: redraw the form / the grid from editorLevel
+
+function defaultEditorLevel() {
+	return {
+		size: 4,
+		tileValue: NEW_TILE_VALUE,
+		board: Array.from({ length: 4 }, () => new Array(4).fill(0)),
+		spawns: [],
+		goal: { type: 'tile', tile: NEW_TILE_VALUE * 2 ** 4, moves: 10 },
+		par: 6,
+	};
+}
+
+// A draft only needs to be drawable; it is checked in full on test-play and export.
+function loadEditorDraft() {
+	try {
+		const draft = JSON.parse(localStorage.getItem(PUZZLE_DRAFT_KEY) || 'null');
+		const errors = draft ? validateLevel(draft) : ['board'];
+		if (!errors.some(code => code === 'size' || code === 'tileValue' || code === 'board' || code === 'spawns')) return draft;
+	} catch (_) {}
+	return defaultEditorLevel();
+}
+
+function saveEditorDraft() {
+	try {
+		localStorage.setItem(PUZZLE_DRAFT_KEY, JSON.stringify(editorLevel));
+	} catch (_) {}
+}
+
+function loadEditorLevel(level) {
+	editorLevel = JSON.parse(exportLevel(level));
+	saveEditorDraft();
+	if (editorView) editorView.refresh();
+}
+
+function puzzleErrorText(code) {
+	return t(`puzzleErrors.${code}`, { min: MIN_SIZE, max: MAX_SIZE });
+}
+
+function setupLevelEditor() {
+	const el = id => document.getElementById(id);
+	const nameInput = el('editorName');
+	const sizeSel = el('editorSize');
+	const baseInput = el('editorBase');
+	const paintSel = el('editorPaint');
+	const grid = el('editorGrid');
+	const goalSel = el('editorGoal');
+	const goalTileSel = el('editorGoalTile');
+	const movesInput = el('editorMoves');
+	const parInput = el('editorPar');
+	const spawnsInput = el('editorSpawns');
+	const jsonEl = el('editorJson');
+	const errorEl = el('editorError');
+	if (!grid || !sizeSel || !baseInput || !paintSel || !goalSel || !goalTileSel) return;
+	const showError = (text) => { if (errorEl) errorEl.textContent = text; };
+
+	for (let n = MIN_SIZE; n <= MAX_SIZE; n++) sizeSel.add(new Option(`${n}×${n}`, String(n)));
+
+	function fillValueOptions(sel, from, selected) {
+		const base = editorLevel.tileValue;
+		sel.textContent = '';
+		if (from < 0) {
+			const erase = new Option(t('editorEraser'), '0');
+			erase.setAttribute('data-i18n', 'editorEraser');
+			sel.add(erase);
+		}
+		for (let rank = Math.max(0, from); rank < EDITOR_RANKS + 1; rank++) sel.add(new Option(String(base * 2 ** rank), String(base * 2 ** rank)));
+		sel.value = String(selected);
+		if (sel.selectedIndex < 0) sel.selectedIndex = from < 0 ? 1 : 0;
+	}
+
+	function drawGrid() {
+		const { size, board } = editorLevel;
+		grid.style.setProperty('--cells', String(size));
+		grid.textContent = '';
+		for (let r = 0; r < size; r++) {
+			for (let c = 0; c < size; c++) {
+				const cell = document.createElement('button');
+				cell.type = 'button';
+				cell.dataset.row = String(r);
+				cell.dataset.col = String(c);
+				const value = board[r][c];
+				if (value) fillTile(cell, value, editorLevel);
+				else cell.className = 'cell-empty';
+				cell.setAttribute('aria-label', t('cellLabel', { row: r + 1, col: c + 1, value: cellText(value) }));
+				grid.appendChild(cell);
+			}
+		}
+	}
+
+	function refresh() {
+		const { goal } = editorLevel;
+		if (nameInput) nameInput.value = editorLevel.name || '';
+		sizeSel.value = String(editorLevel.size);
+		baseInput.value = String(editorLevel.tileValue);
+		fillValueOptions(paintSel, -1, paintSel.value || editorLevel.tileValue);
+		goalSel.value = goal.type;
+		fillValueOptions(goalTileSel, 1, goal.tile || editorLevel.tileValue * 2 ** 4);
+		const tileRow = el('editorGoalTileRow');
+		if (tileRow) tileRow.hidden = goal.type !== 'tile';
+		if (movesInput) movesInput.value = String(goal.moves || 0);
+		if (parInput) parInput.value = String(editorLevel.par || 1);
+		if (spawnsInput) spawnsInput.value = formatSpawnScript(editorLevel.spawns);
+		drawGrid();
+		showError('');
+	}
+	editorView = { refresh, drawGrid };
+
+	// Form fields -> editorLevel; the board is edited in place by painting.
+	function read() {
+		const type = goalSel.value;
+		const moves = Math.round(Number(movesInput ? movesInput.value : 0));
+		editorLevel.name = nameInput ? nameInput.value.trim() : '';
+		if (!editorLevel.name) delete editorLevel.name;
+		editorLevel.goal = type === 'tile' ? { type, tile: Number(goalTileSel.value) } : { type };
+		if (moves > 0) editorLevel.goal.moves = moves;
+		editorLevel.par = Math.round(Number(parInput ? parInput.value : 1));
+		const spawns = parseSpawnScript(spawnsInput ? spawnsInput.value : '');
+		if (spawns) editorLevel.spawns = spawns;
+		saveEditorDraft();
+		return spawns ? validateLevel(editorLevel) : ['spawns'];
+	}
+
+	// Keeps the overlapping part of the board when the size changes.
+	sizeSel.addEventListener('change', () => {
+		const size = Number(sizeSel.value);
+		editorLevel.board = Array.from({ length: size }, (_, r) => Array.from({ length: size }, (_, c) => (editorLevel.board[r] && editorLevel.board[r][c]) || 0));
+		editorLevel.size = size;
+		editorLevel.spawns = editorLevel.spawns.filter(e => e.row == null || (e.row < size && e.col < size));
+		saveEditorDraft();
+		refresh();
+	});
+	// A new base rescales every tile, so the level keeps its shape.
+	baseInput.addEventListener('change', () => {
+		const base = Math.round(Number(baseInput.value));
+		if (!(base >= 1)) { baseInput.value = String(editorLevel.tileValue); return; }
+		read();
+		const scale = v => (v ? (v / editorLevel.tileValue) * base : 0);
+		editorLevel.board = editorLevel.board.map(row => row.map(scale));
+		editorLevel.spawns = editorLevel.spawns.map(e => ({ ...e, value: scale(e.value) }));
+		if (editorLevel.goal.tile) editorLevel.goal.tile = scale(editorLevel.goal.tile);
+		paintSel.value = String(scale(Number(paintSel.value)));
+		editorLevel.tileValue = base;
+		saveEditorDraft();
+		refresh();
+	});
+	goalSel.addEventListener('change', () => { read(); refresh(); });
+	[nameInput, goalTileSel, movesInput, parInput, spawnsInput].forEach(input => {
+		if (input) input.addEventListener('change', () => { read(); });
+	});
+	grid.addEventListener('click', (e) => {
+		const cell = e.target.closest('[data-row]');
+		if (!cell) return;
+		const r = Number(cell.dataset.row), c = Number(cell.dataset.col);
+		const value = Number(paintSel.value);
+		// Painting a tile with the same value again clears it
+		editorLevel.board[r][c] = editorLevel.board[r][c] === value ? 0 : value;
+		saveEditorDraft();
+		drawGrid();
+		const again = grid.querySelector(`[data-row="${r}"][data-col="${c}"]`);
+		if (again) again.focus();
+	});
+
+	const on = (id, fn) => { const btn = el(id); if (btn) btn.addEventListener('click', fn); };
+	on('editorClearBtn', () => {
+		editorLevel.board = editorLevel.board.map(row => row.map(() => 0));
+		saveEditorDraft();
+		drawGrid();
+	});
+	on('editorTestBtn', () => {
+		const errors = read();
+		if (errors.length) { showError(errors.map(puzzleErrorText).join(' ')); return; }
+		showError('');
+		startPuzzle(JSON.parse(exportLevel(editorLevel)));
+	});
+	on('editorExportBtn', () => {
+		const errors = read();
+		if (errors.length) { showError(errors.map(puzzleErrorText).join(' ')); return; }
+		showError('');
+		if (jsonEl) { jsonEl.value = exportLevel(editorLevel); jsonEl.select(); }
+	});
+	on('editorImportBtn', () => {
+		try {
+			loadEditorLevel(parseLevel(jsonEl ? jsonEl.value : ''));
+			announce(t('editorImported'));
+		} catch (err) {
+			showError(puzzleErrorText(err instanceof PuzzleError ? err.code : 'format'));
+		}
+	});
+	refresh();
+}
+
+// Leaderboard (leaderboard.js): player profiles and every finished game, kept in IndexedDB.
+// New games are credited to the profile picked in the bar above the board; the pick is locked
+// after the first move. Without IndexedDB the game plays on and the leaderboard says so.
+const LEADERBOARD_ROWS = 50;
+const leaderboardView = { mode: '', period: 'all', profileId: null, sort: 'score' };
+
+function newRun() {
+	return { profileId: settings.profileId, undoUsed: false, won: false, resultId: null };
+}
+
+function profileById(id) {
+	return profiles.find(p => p.id === id) || null;
+}
+
+function initLeaderboard() {
+	let idb = null;
+	try {
+		idb = window.indexedDB;
+	} catch (_) {} // reading it throws where storage is blocked
+	openLeaderboardStore(idb).then((store) => {
+		leaderboardStore = store;
+		return store.profiles().then(list => (list.length ? list
+			: store.addProfile({ name: t('profileDefaultName', { n: 1 }), color: AVATAR_COLORS[0] }).then(() => store.profiles())));
+	}).then((list) => {
+		profiles = list;
+		if (!profileById(settings.profileId)) {
+			settings.profileId = profiles[0].id;
+			saveSettings();
+		}
+		if (!profileById(run.profileId)) {
+			run.profileId = settings.profileId;
+			saveState();
+		}
+		return refreshLeaderboard();
+	}).catch(() => {
+		leaderboardStore = false;
+		renderLeaderboard();
+		renderProfileBar();
+	});
+}
+
+function refreshLeaderboard() {
+	return Promise.all([leaderboardStore.profiles(), leaderboardStore.results()]).then(([list, results]) => {
+		profiles = list;
+		leaderboardResults = results;
+		renderLeaderboard();
+		renderProfileBar();
+	});
+}
+
+// Stores the current game's result for its player. A game that goes on (Continue, undo after the
+// end) updates the same entry instead of adding another one.
+function recordRun(won) {
+	if (!leaderboardStore || !profileById(run.profileId)) return;
+	const current = run;
+	current.won = current.won || won;
+	const entry = {
+		profileId: current.profileId,
+		mode,
+		score: game.score,
+		steps: game.moveCount,
+		maxTile: game.maxTile(),
+		won: current.won,
+		undoUsed: current.undoUsed,
+		date: Date.now(),
+	};
+	if (current.resultId != null) entry.id = current.resultId;
+	leaderboardStore.putResult(entry).then((id) => {
+		current.resultId = id;
+		if (current === run) saveState();
+		return refreshLeaderboard().catch(() => {});
+	}, () => {
+		showToast(t('leaderboardSaveFailed'));
+		announce(t('leaderboardSaveFailed'));
+	});
+}
+
+// Called when a new game starts from Restart or Play Again: with several players, highlights the
+// picker until the first move so the right player can be chosen.
+function offerProfiles() {
+	if (!leaderboardStore || profiles.length < 2 || game.moveCount > 0 || match) return;
+	const profile = profileById(run.profileId);
+	if (!profile) return;
+	const bar = document.getElementById('profileBar');
+	if (bar) bar.classList.add('offer');
+	showToast(t('profileNewGame', { name: profile.name }));
+	announce(t('profileNewGame', { name: profile.name }));
+}
+
+function selectProfile(id) {
+	const profile = profileById(id);
+	if (!profile || game.moveCount > 0) { renderProfileBar(); return; }
+	settings.profileId = id;
+	saveSettings();
+	run.profileId = id;
+	saveState();
+	const bar = document.getElementById('profileBar');
+	if (bar) bar.classList.remove('offer');
+	renderProfileBar();
+	announce(t('profileSelected', { name: profile.name }));
+}
+
+function addProfile(name, color) {
+	const errorEl = document.getElementById('profileError');
+	const profile = { name: name.trim(), color };
+	if (!isValidProfile(profile)) {
+		if (errorEl) errorEl.textContent = t('profileInvalid', { max: PROFILE_NAME_MAX });
+		return Promise.resolve(false);
+	}
+	if (profiles.some(p => p.name.toLowerCase() === profile.name.toLowerCase())) {
+		if (errorEl) errorEl.textContent = t('profileTaken', { name: profile.name });
+		return Promise.resolve(false);
+	}
+	if (errorEl) errorEl.textContent = '';
+	return leaderboardStore.addProfile(profile).then(() => refreshLeaderboard()).then(() => {
+		announce(t('profileAdded', { name: profile.name }));
+		return true;
+	});
+}
+
+// Deletes a player and all of their results; the last player cannot be removed.
+function deleteProfile(id) {
+	const profile = profileById(id);
+	if (!profile || profiles.length < 2 || !confirm(t('profileDeleteConfirm', { name: profile.name }))) return;
+	leaderboardStore.deleteProfile(id).then(() => {
+		const fallback = profiles.find(p => p.id !== id);
+		if (settings.profileId === id) {
+			settings.profileId = fallback.id;
+			saveSettings();
+		}
+		if (run.profileId === id) {
+			run = { ...newRun(), undoUsed: run.undoUsed };
+			saveState();
+		}
+		if (leaderboardView.profileId === id) leaderboardView.profileId = null;
+		return refreshLeaderboard();
+	}).catch(() => {});
+}
+
+function leaderboardRows() {
+	return sortResults(filterResults(leaderboardResults, leaderboardView), leaderboardView.sort);
+}
+
+function exportLeaderboard() {
+	const header = ['leaderboardPlayer', 'score', 'steps', 'leaderboardMaxTile', 'leaderboardMode', 'leaderboardDate', 'leaderboardUndo', 'leaderboardWon'].map(key => t(key));
+	const rows = leaderboardRows().map((r) => {
+		const profile = profileById(r.profileId);
+		return [profile ? profile.name : '', r.score, r.steps, r.maxTile, r.mode, new Date(r.date).toISOString(), r.undoUsed ? 1 : 0, r.won ? 1 : 0];
+	});
+	const blob = new Blob([toCsv([header, ...rows])], { type: 'text/csv' });
+	downloadBlob(blob, `3072-leaderboard-${localDateKey()}.csv`);
+	announce(t('leaderboardExported', { count: rows.length }));
+}
+
+function paintAvatar(el, profile) {
+	el.style.background = profile.color;
+	el.textContent = Array.from(profile.name)[0].toUpperCase();
+}
+
+function avatarFor(profile) {
+	const avatar = document.createElement('span');
+	avatar.className = 'profile-avatar';
+	avatar.setAttribute('aria-hidden', 'true');
+	paintAvatar(avatar, profile);
+	return avatar;
+}
+
+function renderProfileBar() {
+	const bar = document.getElementById('profileBar');
+	if (!bar) return;
+	bar.hidden = !leaderboardStore;
+	if (!leaderboardStore) return;
+	if (game.moveCount > 0) bar.classList.remove('offer');
+	const select = document.getElementById('profileSelect');
+	const profile = profileById(run.profileId);
+	if (select) {
+		const ids = profiles.map(p => `${p.id}:${p.name}`).join('|');
+		if (select.dataset.ids !== ids) {
+			select.textContent = '';
+			for (const p of profiles) select.appendChild(new Option(p.name, String(p.id)));
+			select.dataset.ids = ids;
+		}
+		select.value = profile ? String(profile.id) : '';
+		select.disabled = game.moveCount > 0 || profiles.length < 2;
+		select.title = game.moveCount > 0 && profiles.length > 1 ? t('profileLocked') : '';
+	}
+	const avatar = document.getElementById('profileAvatar');
+	if (avatar && profile) paintAvatar(avatar, profile);
+}
+
+function renderLeaderboard() {
+	const status = document.getElementById('leaderboardStatus');
+	if (status) {
+		status.hidden = leaderboardStore !== false;
+		status.textContent = t('leaderboardUnavailable');
+	}
+	const card = document.getElementById('leaderboard');
+	if (card) card.classList.toggle('leaderboard-off', leaderboardStore === false);
+	if (!leaderboardStore) return;
+
+	const list = document.getElementById('profileList');
+	if (list) {
+		list.textContent = '';
+		for (const profile of profiles) {
+			const li = document.createElement('li');
+			li.className = 'profile-item';
+			const name = document.createElement('span');
+			name.className = 'profile-name';
+			name.textContent = profile.name;
+			const del = document.createElement('button');
+			del.className = 'btn-secondary';
+			del.textContent = t('profileDelete');
+			del.setAttribute('aria-label', t('profileDeleteLabel', { name: profile.name }));
+			del.disabled = profiles.length < 2;
+			del.addEventListener('click', () => deleteProfile(profile.id));
+			li.append(avatarFor(profile), name, del);
+			list.appendChild(li);
+		}
+	}
+	const colorInput = document.getElementById('profileColor');
+	if (colorInput && !colorInput.dataset.touched) {
+		colorInput.value = AVATAR_COLORS.find(c => !profiles.some(p => p.color === c)) || AVATAR_COLORS[profiles.length % AVATAR_COLORS.length];
+	}
+	const profileFilter = document.getElementById('leaderboardProfile');
+	if (profileFilter) {
+		profileFilter.textContent = '';
+		profileFilter.appendChild(new Option(t('leaderboardAllPlayers'), ''));
+		for (const p of profiles) profileFilter.appendChild(new Option(p.name, String(p.id)));
+		profileFilter.value = leaderboardView.profileId == null ? '' : String(leaderboardView.profileId);
+	}
+
+	const body = document.getElementById('leaderboardRows');
+	if (!body) return;
+	body.textContent = '';
+	const rows = leaderboardRows();
+	rows.slice(0, LEADERBOARD_ROWS).forEach((r, i) => {
+		const tr = document.createElement('tr');
+		const profile = profileById(r.profileId);
+		const player = document.createElement('td');
+		player.className = 'leaderboard-player';
+		if (profile) player.append(avatarFor(profile), profile.name);
+		const cells = [
+			i18n.formatNumber(i + 1),
+			player,
+			i18n.formatNumber(r.score),
+			i18n.formatNumber(r.steps),
+			String(r.maxTile),
+			t(`leaderboardModes.${r.mode}`),
+			i18n.formatDate(new Date(r.date), { dateStyle: 'short', timeStyle: 'short' }),
+			r.undoUsed ? t('leaderboardUndoYes') : t('leaderboardUndoNo'),
+		];
+		for (const cell of cells) {
+			if (typeof cell === 'string') {
+				const td = document.createElement('td');
+				td.textContent = cell;
+				tr.appendChild(td);
+			} else {
+				tr.appendChild(cell);
+			}
+		}
+		if (r.won) tr.classList.add('won');
+		body.appendChild(tr);
+	});
+	const empty = document.getElementById('leaderboardEmpty');
+	if (empty) empty.hidden = rows.length > 0;
+	const exportBtn = document.getElementById('leaderboardExportBtn');
+	if (exportBtn) exportBtn.disabled = rows.length === 0;
+}
+
+function setupLeaderboardControls() {
+	const select = document.getElementById('profileSelect');
+	if (select) select.addEventListener('change', () => selectProfile(Number(select.value)));
+
+	const nameInput = document.getElementById('profileName');
+	const colorInput = document.getElementById('profileColor');
+	if (colorInput) colorInput.addEventListener('input', () => { colorInput.dataset.touched = 'true'; });
+	const addBtn = document.getElementById('profileAddBtn');
+	if (addBtn) addBtn.addEventListener('click', () => {
+		if (!leaderboardStore || !nameInput || !colorInput) return;
+		addProfile(nameInput.value, colorInput.value).then((added) => {
+			if (!added) return;
+			nameInput.value = '';
+			delete colorInput.dataset.touched;
+			renderLeaderboard();
+		}).catch(() => {});
+	});
+
+	const bindFilter = (id, key, parse = v => v) => {
+		const el = document.getElementById(id);
+		if (!el) return;
+		el.value = leaderboardView[key] == null ? '' : String(leaderboardView[key]);
+		el.addEventListener('change', () => {
+			leaderboardView[key] = parse(el.value);
+			renderLeaderboard();
+		});
+	};
+	bindFilter('leaderboardMode', 'mode');
+	bindFilter('leaderboardPeriod', 'period');
+	bindFilter('leaderboardProfile', 'profileId', v => (v ? Number(v) : null));
+	bindFilter('leaderboardSort', 'sort');
+	const exportBtn = document.getElementById('leaderboardExportBtn');
+	if (exportBtn) exportBtn.addEventListener('click', exportLeaderboard);
+	initLeaderboard();
+}
+
+// Save slots: named copies of the current game, stored with the same format as the autosave.
+function loadSlots() {
+	try {
+		const list = JSON.parse(localStorage.getItem(SLOTS_KEY) || '[]');
+		return Array.isArray(list) ? list.map(readSlot).filter(Boolean) : [];
+	} catch (_) {
+		return [];
+	}
+}
+
+// A stored slot with its save migrated and validated, or null when it would not load.
+function readSlot(s) {
+	if (!s || typeof s.id !== 'string' || typeof s.name !== 'string' || !s.data || typeof s.data !== 'object') return null;
+	try {
+		return { ...s, data: validateSave(migrateSave(s.data)) };
+	} catch (_) {
+		return null;
+	}
+}
+
+// Stores `next` and makes it current; on a full quota the previous list is kept.
+function saveSlots(next) {
+	try {
+		localStorage.setItem(SLOTS_KEY, JSON.stringify(next));
+	} catch (_) {
+		showToast(t('slotStorageFull'));
+		return false;
+	}
+	slots = next;
+	renderSlots();
+	return true;
+}
+
+function newSlotId() {
+	return Date.now().toString(36) + Math.random().toString(36).slice(2, 6);
+}
+
+function slotMaxTile(data) {
+	return Math.max(0, ...data.board.map(row => Math.max(...row)));
+}
+
+// True when the classic game has moves that neither the game's end nor a save slot keeps.
+function hasUnsavedProgress() {
+	if (mode !== 'classic' || replayView || game.moveCount === 0 || game.isOver()) return false;
+	if (game.isWon() && !keepPlaying) return false;
+	const key = boardKey(game.board);
+	return !slots.some(s => s.data.moveCount === game.moveCount && boardKey(s.data.board) === key);
+}
+
+// Asks before an action that would replace the current game; true when it may go ahead.
+function confirmDiscard() {
+	return !hasUnsavedProgress() || confirm(t('confirmDiscard'));
+}
+
+const SLOT_BLOCKED_KEYS = { daily: 'slotDailyBlocked', challenge: 'slotChallengeBlocked', puzzle: 'slotPuzzleBlocked' };
+
+function saveToSlot(name) {
+	if (mode !== 'classic') { showToast(t(SLOT_BLOCKED_KEYS[mode])); return; }
+	if (slots.length >= MAX_SLOTS) { showToast(t('slotsFull', { count: MAX_SLOTS })); return; }
+	if (replayView) closeReplayViewer();
+	const slot = { id: newSlotId(), name: name || t('slotDefaultName', { n: slots.length + 1 }), savedAt: Date.now(), data: currentSave() };
+	if (saveSlots([slot, ...slots])) announce(t('slotSaved', { name: slot.name }));
+}
+
+function loadSlot(id) {
+	const slot = slots.find(s => s.id === id);
+	if (!slot || !confirmDiscard()) return;
+	let data;
+	try {
+		data = validateSave(migrateSave(slot.data));
+	} catch (err) {
+		showToast(t('slotLoadFailed', { reason: saveErrorReason(err) }));
+		return;
+	}
+	exitMatch();
+	if (replayView) closeReplayViewer();
+	setAutoplay(false);
+	clearHint();
+	closeModal();
+	if (mode === 'daily') leaveDaily();
+	if (mode === 'challenge') leaveChallenge();
+	if (mode === 'puzzle') leavePuzzle();
+	try {
+		restoreSave(data);
+	} catch (err) {
+		showToast(t('slotLoadFailed', { reason: saveErrorReason(null) }));
+		return;
+	}
+	renderBoard();
+	saveState();
+	applyI18n();
+	announce(t('slotLoaded', { name: slot.name }));
+}
+
+function renameSlot(id) {
+	const slot = slots.find(s => s.id === id);
+	if (!slot) return;
+	const name = prompt(t('slotRenamePrompt'), slot.name);
+	if (name == null || !name.trim()) return;
+	saveSlots(slots.map(s => (s.id === id ? { ...s, name: name.trim() } : s)));
+}
+
+function duplicateSlot(id) {
+	const index = slots.findIndex(s => s.id === id);
+	if (index < 0) return;
+	if (slots.length >= MAX_SLOTS) { showToast(t('slotsFull', { count: MAX_SLOTS })); return; }
+	const copy = { ...slots[index], id: newSlotId(), name: t('slotCopyName', { name: slots[index].name }), savedAt: Date.now() };
+	saveSlots([...slots.slice(0, index + 1), copy, ...slots.slice(index + 1)]);
+}
+
+function deleteSlot(id) {
+	const slot = slots.find(s => s.id === id);
+	if (!slot || !confirm(t('slotDeleteConfirm', { name: slot.name }))) return;
+	saveSlots(slots.filter(s => s.id !== id));
+}
+
+function renderSlotThumb(data) {
+	const thumb = document.createElement('div');
+	thumb.className = 'slot-thumb';
+	thumb.setAttribute('aria-hidden', 'true');
+	thumb.style.setProperty('--cells', data.size);
+	for (const row of data.board) {
+		for (const v of row) {
+			const cell = document.createElement('span');
+			if (SPECIAL_TILES[v]) cell.className = `tile-${SPECIAL_TILES[v].name}`;
+			else if (v) paintTile(cell, v, data.tileValue);
+			thumb.appendChild(cell);
+		}
+	}
+	return thumb;
+}
+
+function renderSlots() {
+	const list = document.getElementById('slotList');
+	if (!list) return;
+	list.textContent = '';
+	for (const slot of slots) {
+		const li = document.createElement('li');
+		li.className = 'slot';
+		li.appendChild(renderSlotThumb(slot.data));
+		const info = document.createElement('div');
+		info.className = 'slot-info';
+		const name = document.createElement('div');
+		name.className = 'slot-name';
+		name.textContent = slot.name;
+		const meta = document.createElement('div');
+		meta.className = 'slot-meta';
+		meta.textContent = t('slotMeta', {
+			count: slot.data.moveCount,
+			max: String(slotMaxTile(slot.data)),
+			when: new Date(slot.savedAt).toLocaleString(i18n.locale),
+		});
+		info.append(name, meta);
+		const actions = document.createElement('div');
+		actions.className = 'slot-actions';
+		for (const action of ['load', 'rename', 'duplicate', 'delete']) {
+			const btn = document.createElement('button');
+			btn.className = action === 'load' ? 'btn-primary' : 'btn-secondary';
+			btn.dataset.action = action;
+			btn.dataset.id = slot.id;
+			btn.textContent = t(`slotActions.${action}`);
+			btn.setAttribute('aria-label', t('slotActionLabel', { action: btn.textContent, name: slot.name }));
+			actions.appendChild(btn);
+		}
+		li.append(info, actions);
+		list.appendChild(li);
+	}
+	const empty = document.getElementById('slotEmpty');
+	if (empty) empty.hidden = slots.length > 0;
+}
+
+function setupSlotControls() {
+	const nameInput = document.getElementById('slotName');
+	const saveBtn = document.getElementById('saveSlotBtn');
+	if (saveBtn) saveBtn.addEventListener('click', () => {
+		saveToSlot(nameInput ? nameInput.value.trim() : '');
+		if (nameInput) nameInput.value = '';
+	});
+	const list = document.getElementById('slotList');
+	if (list) list.addEventListener('click', (e) => {
+		const btn = e.target.closest('button[data-action]');
+		if (!btn) return;
+		const actions = { load: loadSlot, rename: renameSlot, duplicate: duplicateSlot, delete: deleteSlot };
+		actions[btn.dataset.action](btn.dataset.id);
+	});
+	// Another tab saving or deleting slots
+	window.addEventListener('storage', (e) => {
+		if (e.key === SLOTS_KEY) { slots = loadSlots(); renderSlots(); }
+	});
+}
+
+// Replay viewer: swaps a playback game in for the live one and drives it with the normal animations.
+const REPLAY_STEP_MS = 600; // time per move at 1× speed, animation included
+
+function openReplayViewer(rec) {
+	const { frames, events } = buildTimeline(rec); // throws ReplayError for tampered recordings
+	exitMatch();
+	pauseChallenge(true);
+	if (replayView) closeReplayViewer();
+	closeModal();
+	setAutoplay(false);
+	clearHint();
+	replayView = { frames, events, index: 0, playing: false, busy: false, token: 0, timer: null, speed: 1, liveGame: game };
+	game = Game.fromSnapshot(frames[0]);
+	cancelPendingMoves();
+	document.body.classList.add('replay-mode');
+	const bar = document.getElementById('replayBar');
+	if (bar) bar.hidden = false;
+	const scrub = document.getElementById('replayScrub');
+	if (scrub) scrub.max = String(events.length);
+	const speedSel = document.getElementById('replaySpeed');
+	if (speedSel) speedSel.value = '1';
+	showReplayFrame(0);
+	announce(t('replayStarted', { count: events.length }));
+}
+
+function closeReplayViewer() {
+	if (!replayView) return;
+	clearTimeout(replayView.timer);
+	game = replayView.liveGame;
+	replayView = null;
+	cancelPendingMoves();
+	document.body.classList.remove('replay-mode');
+	const bar = document.getElementById('replayBar');
+	if (bar) bar.hidden = true;
+	renderBoard();
+}
+
+function showReplayFrame(index) {
+	replayView.index = index;
+	game.restore(replayView.frames[index]);
+	renderBoard();
+	updateReplayBar();
+}
+
+function stepReplay(delta) {
+	const view = replayView;
+	if (!view || view.busy) return;
+	if (delta < 0) {
+		if (view.index > 0) showReplayFrame(view.index - 1);
+		return;
+	}
+	if (view.index >= view.events.length) { setReplayPlaying(false); return; }
+	const before = view.frames[view.index].board;
+	const { slides, spawned, merged, cleared } = view.events[view.index];
+	const token = ++view.token;
+	view.busy = true;
+	game.restore(view.frames[view.index + 1]);
+	renderBoard(before, { moves: slides });
+	animateSlides(boardEl, game, slides, () => {
+		if (replayView !== view || view.token !== token) return; // closed or seeked mid-animation
+		view.busy = false;
+		view.index += 1;
+		renderBoard(null, { spawned, merged, cleared });
+		updateReplayBar();
+		if (view.playing) {
+			view.timer = setTimeout(() => stepReplay(1), Math.max(0, REPLAY_STEP_MS / view.speed - SLIDE_MS * animationScale()));
+		}
+	});
+}
+
+function setReplayPlaying(playing) {
+	const view = replayView;
+	if (!view) return;
+	clearTimeout(view.timer);
+	view.playing = playing && view.index < view.events.length;
+	updateReplayBar();
+	if (view.playing && !view.busy) stepReplay(1);
+}
+
+function seekReplay(index) {
+	if (!replayView) return;
+	replayView.token += 1; // drop any step still animating
+	replayView.busy = false;
+	setReplayPlaying(false);
+	showReplayFrame(Math.max(0, Math.min(replayView.events.length, index)));
+}
+
+function updateReplayBar() {
+	const view = replayView;
+	if (!view) return;
+	const playBtn = document.getElementById('replayPlay');
+	if (playBtn) {
+		playBtn.textContent = view.playing ? '⏸' : '▶';
+		playBtn.setAttribute('aria-label', t(view.playing ? 'replayPause' : 'replayPlay'));
+	}
+	const scrub = document.getElementById('replayScrub');
+	if (scrub) scrub.value = String(view.index);
+	const posEl = document.getElementById('replayPos');
+	if (posEl) posEl.textContent = t('replayPosition', { index: view.index, total: view.events.length });
+}
+
+function describeReplayError(err) {
+	const key = `replayErrors.${err && i18n.has(`replayErrors.${err.code}`) ? err.code : 'format'}`;
+	return t(key, { move: err && err.moveIndex != null ? err.moveIndex + 1 : 0 });
+}
+
+function replayLink(code) {
+	return `${location.origin}${location.pathname}#replay=${code}`;
+}
+
+function setupReplayControls() {
+	const textEl = document.getElementById('replayText');
+	const errorEl = document.getElementById('replayError');
+	const showError = (text) => { if (errorEl) errorEl.textContent = text; };
+	const on = (id, fn) => { const el = document.getElementById(id); if (el) el.addEventListener('click', fn); };
+
+	on('watchReplayBtn', () => {
+		showError('');
+		openReplayViewer(replay);
+	});
+	on('exportReplayBtn', () => {
+		showError('');
+		if (textEl) { textEl.value = encodeReplay(replay); textEl.select(); }
+	});
+	on('copyReplayLinkBtn', () => {
+		showError('');
+		const link = replayLink(encodeReplay(replay));
+		if (textEl) textEl.value = link;
+		const copied = () => announce(t('replayCopied'));
+		if (navigator.clipboard && navigator.clipboard.writeText) {
+			navigator.clipboard.writeText(link).then(copied, () => { if (textEl) textEl.select(); });
+		} else if (textEl) {
+			textEl.select();
+		}
+	});
+	on('importReplayBtn', () => {
+		try {
+			openReplayViewer(decodeReplay(textEl ? textEl.value : ''));
+			showError('');
+		} catch (err) {
+			showError(describeReplayError(err));
+		}
+	});
+
+	on('replayBack', () => { setReplayPlaying(false); stepReplay(-1); });
+	on('replayFwd', () => { setReplayPlaying(false); stepReplay(1); });
+	on('replayPlay', () => setReplayPlaying(!(replayView && replayView.playing)));
+	on('replayExit', closeReplayViewer);
+	const speedSel = document.getElementById('replaySpeed');
+	if (speedSel) speedSel.addEventListener('change', () => { if (replayView) replayView.speed = Number(speedSel.value) || 1; });
+	const scrub = document.getElementById('replayScrub');
+	if (scrub) scrub.addEventListener('input', () => seekReplay(Number(scrub.value)));
+
+	// Shared links open straight into the viewer
+	if (location.hash.includes('replay=')) {
+		try {
+			openReplayViewer(decodeReplay(location.hash));
+		} catch (err) {
+			showError(describeReplayError(err));
+			const card = document.getElementById('replay');
+			if (card && card.scrollIntoView) card.scrollIntoView();
+		}
+	}
+}
+
+// Local multiplayer. A GameManager (manager.js) runs the games; each board on screen gets a view
+// with its own element, input lock and queue, so versus players can move at the same time.
+const VERSUS_KEYS = [KEY_PRESETS.wasd, KEY_PRESETS.arrows]; // player 1, player 2
+
+function versusPlayerForKey(key) {
+	for (let index = 0; index < VERSUS_KEYS.length; index++) {
+		const direction = DIRECTIONS.find(d => VERSUS_KEYS[index][d] === key);
+		if (direction) return { index, direction };
+	}
+	return null;
+}
+
+function playerName(index) {
+	return t('matchPlayer', { n: index + 1 });
+}
+
+function startMatch(matchMode) {
+	if (replayView) closeReplayViewer();
+	if (mode === 'challenge') exitChallenge();
+	if (mode === 'puzzle') exitPuzzle();
+	setAutoplay(false);
+	clearHint();
+	closeModal();
+	cancelPendingMoves();
+	const manager = new GameManager({ mode: matchMode, players: 2, variant: settings.variant });
+	match = { manager, views: [] };
+	document.body.classList.remove('match-versus', 'match-hotseat');
+	document.body.classList.add('match-mode', `match-${matchMode}`);
+	const area = document.getElementById('matchArea');
+	if (area) area.hidden = false;
+	const container = document.getElementById('matchBoards');
+	container.textContent = '';
+	match.views = manager.games.map((g, index) => {
+		const panel = document.createElement('div');
+		panel.className = 'match-panel';
+		const head = document.createElement('div');
+		head.className = 'match-head';
+		const el = document.createElement('div');
+		el.className = 'board match-board';
+		el.setAttribute('role', 'grid');
+		// Swipes on a versus board play for its owner; on the shared board, for whoever's turn it is
+		addSwipe(el, direction => matchMove(matchMode === 'versus' ? index : manager.turn, direction));
+		panel.append(head, el);
+		container.appendChild(panel);
+		return { el, head, locked: false, queue: [] };
+	});
+	renderMatch();
+	announce(t(`matchStarted.${matchMode}`));
+}
+
+function exitMatch() {
+	if (!match) return;
+	match = null;
+	document.body.classList.remove('match-mode', 'match-versus', 'match-hotseat');
+	const area = document.getElementById('matchArea');
+	if (area) area.hidden = true;
+	const container = document.getElementById('matchBoards');
+	if (container) container.textContent = '';
+	renderBoard();
+}
+
+function renderMatch() {
+	if (!match) return;
+	match.views.forEach((view, index) => renderMatchPanel(index));
+	renderMatchStatus();
+}
+
+// Redraws one board with its heading; `options` go to drawBoard (e.g. spawned tiles to pop in).
+function renderMatchPanel(index, options = {}) {
+	const { manager, views } = match;
+	const view = views[index];
+	const g = manager.games[index];
+	drawBoard(view.el, g, null, options);
+	const owner = manager.mode === 'versus' ? playerName(index) : null;
+	view.el.setAttribute('aria-label', owner ? t('matchBoard', { player: owner }) : t('board'));
+	view.head.textContent = owner
+		? t('matchPanelTitle', { player: owner, keys: DIRECTIONS.map(d => keyLabel(VERSUS_KEYS[index][d])).join(' ') })
+		: '';
+	view.head.hidden = !owner;
+	view.el.parentNode.classList.toggle('stuck', !manager.outcome && g.isOver());
+}
+
+function renderMatchStatus() {
+	const { manager } = match;
+	const scores = document.getElementById('matchScores');
+	if (scores) {
+		scores.textContent = '';
+		manager.scores.forEach((score, index) => {
+			const li = document.createElement('li');
+			li.textContent = t('matchPlayerScore', { player: playerName(index), score });
+			li.classList.toggle('active', manager.mode === 'hotseat' && !manager.outcome && manager.turn === index);
+			li.classList.toggle('winner', !!manager.outcome && manager.outcome.winner === index);
+			scores.appendChild(li);
+		});
+	}
+	const status = document.getElementById('matchStatus');
+	if (status) status.textContent = matchStatusText();
+}
+
+function matchStatusText() {
+	const { manager } = match;
+	if (manager.outcome) return manager.outcome.winner == null ? t('matchDraw') : t('matchWinner', { player: playerName(manager.outcome.winner) });
+	if (manager.mode === 'hotseat') return t('matchTurn', { player: playerName(manager.turn) });
+	const stuck = manager.games.findIndex(g => g.isOver());
+	return stuck >= 0 ? t('matchStuck', { player: playerName(stuck) }) : '';
+}
+
+// Moves for `player`; presses during that board's animation follow settings.inputMode like solo play.
+function matchMove(player, direction) {
+	if (!match || modalEl.classList.contains('open')) return;
+	const { manager, views } = match;
+	const view = views[manager.mode === 'versus' ? player : 0];
+	if (!view) return;
+	if (view.locked) {
+		if (settings.inputMode === 'queued' && view.queue.length < INPUT_QUEUE_LIMIT) view.queue.push(direction);
+		return;
+	}
+	const g = manager.game(player);
+	const before = cloneBoard(g.board);
+	const result = manager.move(player, direction);
+	if (!result) return;
+	playMatchMove(view, g, before, result);
+}
+
+function playMatchMove(view, g, before, { player, slides, merged, cleared, spawned }) {
+	const current = match;
+	view.locked = true;
+	const duration = slideDuration(view.queue.length);
+	playSound('slide');
+	const finish = () => {
+		if (match !== current) return; // left or restarted mid-animation
+		const wasStuck = view.el.parentNode.classList.contains('stuck');
+		renderMatchPanel(current.views.indexOf(view), { spawned });
+		renderMatchStatus();
+		addMergePulse(view.el, merged);
+		addBlastFlash(view.el, cleared);
+		if (merged.length) {
+			playSound('merge', Math.max(...merged.map(([r, c]) => g.board[r][c])));
+			vibrate(20);
+		}
+		if (cleared.length) playSound('blast');
+		if (current.manager.outcome) { finishMatch(); return; }
+		if (current.manager.mode === 'hotseat') announce(t('matchTurn', { player: playerName(current.manager.turn) }));
+		else if (!wasStuck && g.isOver()) announce(t('matchStuck', { player: playerName(player) }));
+		view.locked = false;
+		if (view.queue.length) {
+			const next = view.queue.shift();
+			matchMove(current.manager.mode === 'versus' ? player : current.manager.turn, next);
+		}
+	};
+	if (!duration) { finish(); return; }
+	drawBoard(view.el, g, before, { moves: slides });
+	animateSlides(view.el, g, slides, finish, duration);
+}
+
+function finishMatch() {
+	const { manager, views } = match;
+	views.forEach(v => { v.queue.length = 0; });
+	const title = matchStatusText();
+	const standings = manager.scores.map((score, index) => t('matchPlayerScore', { player: playerName(index), score })).join(' · ');
+	playSound(manager.outcome.winner == null ? 'over' : 'win');
+	openModal(title, standings, { outcome: manager.outcome.winner == null ? 'lose' : 'win' });
+	announce(`${title} ${standings}`);
+}
+
+function setupMatchControls() {
+	const on = (id, fn) => { const el = document.getElementById(id); if (el) el.addEventListener('click', fn); };
+	on('versusBtn', () => startMatch('versus'));
+	on('hotseatBtn', () => startMatch('hotseat'));
+	on('matchRematch', () => { if (match) startMatch(match.manager.mode); });
+	on('matchExit', exitMatch);
+}
+
+// Offline support (sw.js). A new deploy installs a waiting worker; the player decides when to reload.
+function registerServiceWorker() {
+	if (!('serviceWorker' in navigator) || !/^https?:$/.test(location.protocol)) return;
+	// Set when the player accepts the update; clients.claim() also changes the controller on the
+	// first install, which must not reload the page
+	let accepted = false;
+	navigator.serviceWorker.addEventListener('controllerchange', () => {
+		if (!accepted) return;
+		accepted = false;
+		location.reload();
+	});
+	const offerUpdate = (worker) => {
+		showNotice(t('updateAvailable'), { label: t('updateReload'), run: () => { accepted = true; saveState(); worker.postMessage({ type: 'SKIP_WAITING' }); } });
+	};
+	navigator.serviceWorker.register('sw.js').then((reg) => {
+		// Only prompt when a previous version is in control; the first install needs no reload
+		if (reg.waiting && navigator.serviceWorker.controller) offerUpdate(reg.waiting);
+		reg.addEventListener('updatefound', () => {
+			const worker = reg.installing;
+			if (!worker) return;
+			worker.addEventListener('statechange', () => {
+				if (worker.state === 'installed' && navigator.serviceWorker.controller) offerUpdate(worker);
+			});
+		});
+	}).catch((err) => console.warn('Service worker registration failed', err));
+}
+
+// Bootstrap
+(function init() {
+	const restored = loadState();
+	if (!restored) {
+		resetGame();
+	} else {
+		renderBoard();
+	}
+	setupInputs();
+	applyI18n();
+	if (isDevBuild()) {
+		for (const [locale, keys] of Object.entries(i18n.report())) {
+			if (keys.length) console.warn(`[i18n] ${locale} is missing ${keys.length} keys`, keys);
+		}
+	}
+	window.addEventListener('load', registerServiceWorker);
+})();
+
+function applyI18n() {
+	try {
+		document.documentElement.lang = i18n.locale;
+		document.title = t('title');
+		document.querySelectorAll('[data-i18n]').forEach(node => {
 			const key = node.getAttribute('data-i18n');
-			if (!key) return;
-			const val = dict[key];
-			if (typeof val === 'string') node.textContent = val;
+			if (key) node.textContent = VARIANT_TEXT_KEYS.includes(key) ? variantText(key, game) : t(key);
 		});
-		// Dynamic labels (guard nulls)
-		const b = document.getElementById('board'); if (b) b.setAttribute('aria-label', currentLang === 'en' ? 'Board' : '棋盘');
-		const up = document.getElementById('btnUp'); if (up) up.setAttribute('aria-label', currentLang === 'en' ? 'Up' : '上');
-		const down = document.getElementById('btnDown'); if (down) down.setAttribute('aria-label', currentLang === 'en' ? 'Down' : '下');
-		const left = document.getElementById('btnLeft'); if (left) left.setAttribute('aria-label', currentLang === 'en' ? 'Left' : '左');
-		const right = document.getElementById('btnRight'); if (right) right.setAttribute('aria-label', currentLang === 'en' ? 'Right' : '右');
+		document.querySelectorAll('[data-i18n-label]').forEach(node => node.setAttribute('aria-label', t(node.getAttribute('data-i18n-label'))));
+		document.querySelectorAll('[data-i18n-placeholder]').forEach(node => { node.placeholder = t(node.getAttribute('data-i18n-placeholder')); });
+		const langSel = document.getElementById('langSelect'); if (langSel) langSel.value = i18n.locale;
+		const specialsRule = document.getElementById('ruleSpecials'); if (specialsRule) specialsRule.hidden = !game.specials;
+		renderCounters();
+		renderStats();
+		renderDaily();
+		renderChallenge();
+		renderPuzzles();
+		if (editorView) editorView.drawGrid(); // cell labels
+		renderSlots();
+		renderControls();
+		labelCells();
+		renderMatch();
+		renderReport();
+		renderLeaderboard();
+		const muteBtn = document.getElementById('muteBtn'); if (muteBtn) muteBtn.setAttribute('aria-label', t(settings.muted ? 'unmute' : 'mute'));
+		updateReplayBar();
 		// Keep focus on board for keyboard controls
-		setTimeout(() => { try { if (b) b.focus(); } catch(_){} }, 0);
+		setTimeout(() => { try { if (boardEl) boardEl.focus(); } catch(_){} }, 0);
 	} catch (e) {
 		console.error('i18n apply failed', e);
 	}
 }
 
-function formatUsedSteps(n) {
-	const dict = I18N[currentLang];
-	return typeof dict.usedSteps === 'function' ? dict.usedSteps(n) : String(n);
-}
-
 // Override win/lose messaging to use i18n
 function handleWinLoseAfterRender() {
-	if (checkWin()) {
-		openModal(I18N[currentLang].winTitle, formatUsedSteps(moveCount));
-		announce(I18N[currentLang].winTitle);
+	if (mode === 'challenge') return checkChallenge();
+	if (mode === 'puzzle') return checkPuzzle();
+	if (mode === 'daily') {
+		if (!game.isWon() && !game.isOver()) return false;
+		finishDaily(game.isWon());
+		if (game.isWon()) playSound('win');
+		else { playSound('over'); vibrate([80, 60, 160]); }
+		return true;
+	}
+	if (game.isWon() && !keepPlaying) {
+		recordGameResult(true);
+		recordRun(true);
+		playSound('win');
+		openModal(t('winTitle'), t('usedSteps', { count: game.moveCount }), { outcome: 'win', continuable: true, card: resultCard(true) });
+		announce(t('winTitle'));
 		return true;
 	}
-	if (!hasMovesAvailable()) {
-		openModal(I18N[currentLang].loseTitle, '');
-		announce(I18N[currentLang].loseTitle);
+	if (keepPlaying) checkMilestone();
+	if (game.isOver()) {
+		recordGameResult(false);
+		recordRun(false);
+		playSound('over');
+		vibrate([80, 60, 160]);
+		openModal(t('loseTitle'), keepPlaying ? t('finalTile', { value: String(game.maxTile()) }) : '', { outcome: 'lose', report: replay.moves.length > 0, card: resultCard(false) });
+		announce(t('loseTitle'));
 		return true;
 	}
 	return false;
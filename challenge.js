@@ -0,0 +1,78 @@
+'use strict';
+
+// Challenge modes. Each mode lists the goals offered in the picker, decides from a snapshot of the
+// run whether it is over, and ranks finished runs for personal bests. DOM-free like engine.js;
+// exposed as Challenge3072 in the page and via require() in Node.
+(function (root, factory) {
+	const api = factory();
+	if (typeof module === 'object' && module.exports) module.exports = api;
+	else root.Challenge3072 = api;
+})(typeof globalThis !== 'undefined' ? globalThis : this, function () {
+
+	// A run snapshot is { score, maxTile, moveCount, elapsed (ms on the clock), over (no moves left) }.
+	// outcome() returns null while the run goes on, else { won, reason }. compare(a, b) is positive
+	// when finished result `a` beats `b`. `scored` modes have no losing runs, only a score to beat.
+	const CHALLENGES = Object.freeze({
+		// Highest score (then tile) before the countdown runs out; the clock can be paused.
+		timeAttack: Object.freeze({
+			options: Object.freeze([{ minutes: 1 }, { minutes: 3 }, { minutes: 5 }]),
+			defaultOption: 1,
+			clock: 'countdown',
+			pausable: true,
+			scored: true,
+			limit: option => option.minutes * 60000,
+			outcome(option, run) {
+				if (run.elapsed >= option.minutes * 60000) return { won: true, reason: 'time' };
+				if (run.over) return { won: true, reason: 'stuck' };
+				return null;
+			},
+			compare: (a, b) => a.score - b.score || a.maxTile - b.maxTile,
+		}),
+		// Reach the tile within a number of steps (Game#moveCount); fewest steps is best.
+		moveLimit: Object.freeze({
+			options: Object.freeze([{ tile: 384, steps: 200 }, { tile: 768, steps: 350 }, { tile: 1536, steps: 650 }]),
+			defaultOption: 0,
+			clock: null,
+			outcome(option, run) {
+				if (run.maxTile >= option.tile) return { won: true, reason: 'target' };
+				if (run.moveCount >= option.steps) return { won: false, reason: 'steps' };
+				if (run.over) return { won: false, reason: 'stuck' };
+				return null;
+			},
+			compare: (a, b) => b.steps - a.steps || a.score - b.score,
+		}),
+		// Reach the tile as fast as possible on a millisecond clock that never stops.
+		sprint: Object.freeze({
+			options: Object.freeze([{ tile: 384 }]),
+			defaultOption: 0,
+			clock: 'stopwatch',
+			outcome(option, run) {
+				if (run.maxTile >= option.tile) return { won: true, reason: 'target' };
+				if (run.over) return { won: false, reason: 'stuck' };
+				return null;
+			},
+			compare: (a, b) => b.ms - a.ms || b.steps - a.steps,
+		}),
+	});
+
+	const CHALLENGE_IDS = Object.freeze(Object.keys(CHALLENGES));
+
+	// Personal bests are kept per mode and goal, e.g. "moveLimit:384/200".
+	function bestKey(id, option) {
+		return `${id}:${Object.values(option).join('/')}`;
+	}
+
+	// Only won runs can be bests; scored modes count every run.
+	function isNewBest(id, result, best) {
+		const def = CHALLENGES[id];
+		if (!result.won) return false;
+		return !best || def.compare(result, best) > 0;
+	}
+
+	return {
+		CHALLENGES,
+		CHALLENGE_IDS,
+		bestKey,
+		isNewBest,
+	};
+});
@@ -0,0 +1,508 @@
+'use strict';
+
+// DOM-free rules engine. Loaded as a plain script in the page (window.Engine3072),
+// via importScripts in workers (self.Engine3072) and with require() in Node.
+(function (root, factory) {
+	const api = factory();
+	if (typeof module === 'object' && module.exports) module.exports = api;
+	else root.Engine3072 = api;
+})(typeof globalThis !== 'undefined' ? globalThis : this, function () {
+
+	const DEFAULTS = Object.freeze({ size: 5, target: 3072, tileValue: 3 });
+	const MIN_SIZE = 3;
+	const MAX_SIZE = 8;
+
+	const Direction = Object.freeze({ Up: 'Up', Down: 'Down', Left: 'Left', Right: 'Right' });
+	const DIRECTIONS = Object.freeze([Direction.Up, Direction.Down, Direction.Left, Direction.Right]);
+
+	// Special tiles of the opt-in ruleset (variant.specials), stored on the board as negative codes.
+	// Stones never move or merge; a wildcard merges with any number, doubling it; a bomb merges
+	// with any movable tile and clears the 3×3 area around the merge. Boards without negative
+	// values play exactly by the plain rules.
+	const Special = Object.freeze({ Stone: -1, Wildcard: -2, Bomb: -3 });
+	const SPECIAL_KINDS = Object.freeze({ stone: Special.Stone, wildcard: Special.Wildcard, bomb: Special.Bomb });
+
+	// Seedable PRNG (mulberry32). The whole state is one uint32 so it can be saved and restored.
+	class Rng {
+		constructor(seed) {
+			this.state = seed >>> 0;
+		}
+
+		next() {
+			this.state = (this.state + 0x6D2B79F5) >>> 0;
+			let t = this.state;
+			t = Math.imul(t ^ (t >>> 15), t | 1);
+			t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+			return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+		}
+
+		int(n) {
+			return Math.floor(this.next() * n);
+		}
+
+		static randomSeed() {
+			return Math.floor(Math.random() * 4294967296) >>> 0;
+		}
+	}
+
+	// FNV-1a: stable uint32 seed from a string, e.g. a calendar date for the daily challenge.
+	function hashSeed(text) {
+		let h = 0x811C9DC5;
+		for (let i = 0; i < text.length; i++) {
+			h ^= text.charCodeAt(i);
+			h = Math.imul(h, 0x01000193);
+		}
+		return h >>> 0;
+	}
+
+	// Board helpers
+	function createEmptyBoard(size) {
+		return Array.from({ length: size }, () => Array(size).fill(0));
+	}
+
+	function cloneBoard(b) {
+		return b.map(row => row.slice());
+	}
+
+	function getEmptyCells(b) {
+		const cells = [];
+		for (let r = 0; r < b.length; r++) {
+			for (let c = 0; c < b[r].length; c++) {
+				if (b[r][c] === 0) cells.push([r, c]);
+			}
+		}
+		return cells;
+	}
+
+	function isSpecialTile(value) {
+		return value === Special.Stone || value === Special.Wildcard || value === Special.Bomb;
+	}
+
+	function hasSpecialTiles(b) {
+		return b.some(row => row.some(v => v < 0));
+	}
+
+	function maxTile(b) {
+		let max = 0;
+		for (const row of b) for (const v of row) if (v > max) max = v;
+		return max;
+	}
+
+	// True for base, 2×base, 4×base, ...
+	function isTileValue(value, base) {
+		if (!Number.isInteger(value) || value < base || value % base !== 0) return false;
+		const ratio = value / base;
+		return (ratio & (ratio - 1)) === 0;
+	}
+
+	// Returns a list of problems with a variant ({ size, tileValue, target, spawnTable, specials? });
+	// empty means valid. `specials` maps kinds of SPECIAL_KINDS to the chance a spawn is that tile.
+	function validateVariant(v) {
+		const errors = [];
+		if (!Number.isInteger(v.size) || v.size < MIN_SIZE || v.size > MAX_SIZE) errors.push('size');
+		if (!Number.isInteger(v.tileValue) || v.tileValue < 1) errors.push('tileValue');
+		else if (!isTileValue(v.target, v.tileValue) || v.target === v.tileValue) errors.push('target');
+		const table = v.spawnTable || [];
+		if (table.length === 0 || !table.some(e => e.weight > 0)) errors.push('spawnTable');
+		else if (table.some(e => !(e.weight >= 0) || !isTileValue(e.value, v.tileValue) || e.value >= v.target)) errors.push('spawnTable');
+		if (v.specials != null) {
+			const chances = Object.entries(v.specials);
+			const total = chances.reduce((sum, [, p]) => sum + p, 0);
+			if (typeof v.specials !== 'object' || chances.some(([kind, p]) => !SPECIAL_KINDS[kind] || !(p >= 0 && p <= 1)) || !(total > 0 && total < 1)) errors.push('specials');
+		}
+		return errors;
+	}
+
+	function arraysEqual(a, b) {
+		if (a.length !== b.length) return false;
+		for (let i = 0; i < a.length; i++) if (a[i] !== b[i]) return false;
+		return true;
+	}
+
+	// Slide one row/column. `forward` means towards index 0 (Left/Up).
+	function slideLine(line, forward) {
+		const size = line.length;
+		// Build working list with original indices in line orientation
+		const items = [];
+		for (let i = 0; i < size; i++) if (line[i] !== 0) items.push({ value: line[i], idx: i });
+		const working = forward ? items : items.slice().reverse().map(it => ({ value: it.value, idx: size - 1 - it.idx }));
+
+		const result = [];
+		const mergedIdxsForward = [];
+		const moves = [];
+		for (let i = 0; i < working.length; i++) {
+			const cur = working[i];
+			if (i + 1 < working.length && cur.value === working[i + 1].value) {
+				const next = working[i + 1];
+				const sum = cur.value + next.value;
+				const toIdxForward = result.length; // destination index in forward orientation
+				result.push(sum);
+				mergedIdxsForward.push(toIdxForward);
+				// Both tiles animate to the same destination index
+				const mappedDest = forward ? toIdxForward : size - 1 - toIdxForward;
+				moves.push({ from: cur.idx, to: mappedDest, value: cur.value });
+				moves.push({ from: next.idx, to: mappedDest, value: next.value });
+				i++; // consume next
+			} else {
+				const toIdxForward = result.length;
+				result.push(cur.value);
+				moves.push({ from: cur.idx, to: forward ? toIdxForward : size - 1 - toIdxForward, value: cur.value });
+			}
+		}
+		while (result.length < size) result.push(0);
+
+		let finalLine, mergedIdxsMapped;
+		if (forward) {
+			finalLine = result;
+			mergedIdxsMapped = mergedIdxsForward;
+		} else {
+			finalLine = result.slice().reverse();
+			mergedIdxsMapped = mergedIdxsForward.map(i => size - 1 - i);
+		}
+		return { line: finalLine, moved: !arraysEqual(finalLine, line), mergedIdxs: mergedIdxsMapped, moves };
+	}
+
+	// Merge rule for two non-empty tiles where at least one is special: stones never merge, bombs
+	// merge with anything but a stone and a wildcard only with a number tile.
+	function canMergeSpecial(a, b) {
+		if (a === Special.Stone || b === Special.Stone) return false;
+		if (a === Special.Bomb || b === Special.Bomb) return true;
+		if (a === Special.Wildcard) return b > 0;
+		if (b === Special.Wildcard) return a > 0;
+		return a === b;
+	}
+
+	// slideLine for lines holding special tiles: stones split the line into segments that slide on
+	// their own. A bomb merge stays on the line as a bomb in `blastIdxs`; slideBoard sets it off.
+	function slideSpecialLine(line, forward) {
+		const size = line.length;
+		const at = i => (forward ? i : size - 1 - i); // forward position -> line index
+		const result = new Array(size).fill(0);
+		const mergedIdxs = [];
+		const blastIdxs = [];
+		const moves = [];
+		let dest = 0; // next free forward position in the current segment
+		let open = -1; // forward position of the last tile that can still take a merge
+		for (let i = 0; i < size; i++) {
+			const value = line[at(i)];
+			if (value === 0) continue;
+			if (value === Special.Stone) {
+				result[i] = value;
+				dest = i + 1;
+				open = -1;
+				continue;
+			}
+			if (open >= 0 && canMergeSpecial(result[open], value)) {
+				const other = result[open];
+				moves.push({ from: at(i), to: at(open), value });
+				if (other === Special.Bomb || value === Special.Bomb) {
+					result[open] = Special.Bomb;
+					blastIdxs.push(at(open));
+				} else {
+					result[open] = other === Special.Wildcard ? value * 2 : value === Special.Wildcard ? other * 2 : other + value;
+					mergedIdxs.push(at(open));
+				}
+				open = -1;
+				continue;
+			}
+			result[dest] = value;
+			moves.push({ from: at(i), to: at(dest), value });
+			open = dest;
+			dest += 1;
+		}
+		const finalLine = forward ? result : result.slice().reverse();
+		return { line: finalLine, moved: !arraysEqual(finalLine, line), mergedIdxs, blastIdxs, moves };
+	}
+
+	// Pure move: returns the new board plus slide and merge events, never touches the input.
+	// `score` is the sum of the merged tiles' new values. With special tiles, `blasts` lists the
+	// bomb merges and `cleared` every tile they removed (including the bomb).
+	function slideBoard(board, direction) {
+		const size = board.length;
+		const next = cloneBoard(board);
+		let moved = false;
+		let merged = [];
+		const slides = [];
+		const blasts = [];
+		const slide = (line, forward) => (line.some(v => v < 0) ? slideSpecialLine(line, forward) : slideLine(line, forward));
+
+		if (direction === Direction.Left || direction === Direction.Right) {
+			for (let r = 0; r < size; r++) {
+				const res = slide(board[r], direction === Direction.Left);
+				if (res.moved) moved = true;
+				next[r] = res.line;
+				for (const idx of res.mergedIdxs) merged.push([r, idx]);
+				for (const idx of res.blastIdxs || []) blasts.push([r, idx]);
+				for (const m of res.moves) slides.push({ fromR: r, fromC: m.from, toR: r, toC: m.to, value: m.value });
+			}
+		} else {
+			for (let c = 0; c < size; c++) {
+				const col = [];
+				for (let r = 0; r < size; r++) col.push(board[r][c]);
+				const res = slide(col, direction === Direction.Up);
+				if (res.moved) moved = true;
+				for (let r = 0; r < size; r++) next[r][c] = res.line[r];
+				for (const idx of res.mergedIdxs) merged.push([idx, c]);
+				for (const idx of res.blastIdxs || []) blasts.push([idx, c]);
+				for (const m of res.moves) slides.push({ fromR: m.from, fromC: c, toR: m.to, toC: c, value: m.value });
+			}
+		}
+
+		let score = 0;
+		for (const [r, c] of merged) score += next[r][c];
+		// Bombs go off after the slide; merges they clear still score
+		const cleared = [];
+		for (const [br, bc] of blasts) {
+			for (let r = Math.max(0, br - 1); r <= Math.min(size - 1, br + 1); r++) {
+				for (let c = Math.max(0, bc - 1); c <= Math.min(size - 1, bc + 1); c++) {
+					if (next[r][c] === 0) continue;
+					next[r][c] = 0;
+					cleared.push([r, c]);
+				}
+			}
+		}
+		if (cleared.length) merged = merged.filter(([r, c]) => next[r][c] !== 0);
+		return { board: next, moved, merged, slides, score, blasts, cleared };
+	}
+
+	function hasMovesAvailable(b) {
+		// Stones can wall off empty cells, so special boards are checked move by move
+		if (hasSpecialTiles(b)) return DIRECTIONS.some(d => slideBoard(b, d).moved);
+		const size = b.length;
+		if (getEmptyCells(b).length > 0) return true;
+		for (let r = 0; r < size; r++) {
+			for (let c = 0; c < size; c++) {
+				const v = b[r][c];
+				if (r + 1 < size && b[r + 1][c] === v) return true;
+				if (c + 1 < size && b[r][c + 1] === v) return true;
+			}
+		}
+		return false;
+	}
+
+	// One game: board, step counter and the RNG that drives spawns.
+	class Game {
+		constructor(options = {}) {
+			this.size = options.size || DEFAULTS.size;
+			this.target = options.target || DEFAULTS.target;
+			this.tileValue = options.tileValue || DEFAULTS.tileValue;
+			// Weighted spawn values, e.g. [{ value: 2, weight: 9 }, { value: 4, weight: 1 }]
+			this.spawnTable = options.spawnTable ? options.spawnTable.map(e => ({ value: e.value, weight: e.weight })) : [{ value: this.tileValue, weight: 1 }];
+			this.specials = options.specials ? { ...options.specials } : null; // opt-in special tiles, e.g. { stone: 0.04 }
+			// Puzzles replace random spawns with a fixed list: [{ value, row?, col? }, …] (see spawnScripted)
+			this.spawnScript = options.spawnScript ? options.spawnScript.map(e => ({ ...e })) : null;
+			this.seed = options.seed != null ? options.seed >>> 0 : Rng.randomSeed();
+			this.rng = new Rng(options.rngState != null ? options.rngState : this.seed);
+			this.board = options.board ? cloneBoard(options.board) : createEmptyBoard(this.size);
+			this.moveCount = options.moveCount || 0;
+			this.score = options.score || 0;
+		}
+
+		static fromSnapshot(snap) {
+			return new Game(snap);
+		}
+
+		// Clears the board and places the two opening tiles, which are never special.
+		reset() {
+			this.board = createEmptyBoard(this.size);
+			this.moveCount = 0;
+			this.score = 0;
+			return this.spawn(2, false);
+		}
+
+		spawn(n = 1, allowSpecial = true) {
+			const spawned = [];
+			for (let i = 0; i < n; i++) {
+				const empties = getEmptyCells(this.board);
+				if (empties.length === 0) break;
+				const [r, c] = empties[this.rng.int(empties.length)];
+				this.board[r][c] = (allowSpecial && this.nextSpecialValue()) || this.nextSpawnValue();
+				spawned.push([r, c]);
+			}
+			return spawned;
+		}
+
+		// Scripted spawn for the step just taken: entry moveCount - 1 lands on its cell when that is
+		// free, else on the first empty cell in reading order. Steps past the end spawn nothing.
+		// The position only depends on moveCount, so undo and redo replay it exactly.
+		spawnScripted() {
+			const entry = this.spawnScript[this.moveCount - 1];
+			if (!entry) return [];
+			const wanted = entry.row != null && this.board[entry.row] && this.board[entry.row][entry.col] === 0;
+			const cell = wanted ? [entry.row, entry.col] : getEmptyCells(this.board)[0];
+			if (!cell) return [];
+			this.board[cell[0]][cell[1]] = entry.value;
+			return [cell];
+		}
+
+		// Special tile code for the next spawn, or 0 for a number. Games without specials draw
+		// nothing here, so their RNG sequence is unchanged.
+		nextSpecialValue() {
+			if (!this.specials) return 0;
+			let x = this.rng.next();
+			for (const [kind, p] of Object.entries(this.specials)) {
+				if (x < p) return SPECIAL_KINDS[kind];
+				x -= p;
+			}
+			return 0;
+		}
+
+		// A single-entry table draws nothing, so default games keep their exact RNG sequence.
+		nextSpawnValue() {
+			const table = this.spawnTable;
+			if (table.length === 1) return table[0].value;
+			const total = table.reduce((sum, e) => sum + e.weight, 0);
+			let x = this.rng.next() * total;
+			for (const e of table) {
+				if (x < e.weight) return e.value;
+				x -= e.weight;
+			}
+			return table[table.length - 1].value;
+		}
+
+		// Slides, merges and (for valid moves) spawns one tile. Returns the events for the UI;
+		// `score` is the points this move earned.
+		move(direction) {
+			const res = slideBoard(this.board, direction);
+			if (!res.moved) return { moved: false, direction, slides: [], merged: [], blasts: [], cleared: [], spawned: [], score: 0 };
+			this.board = res.board;
+			this.moveCount += 1;
+			this.score += res.score;
+			const spawned = this.spawnScript ? this.spawnScripted() : this.spawn(1);
+			return { moved: true, direction, slides: res.slides, merged: res.merged, blasts: res.blasts, cleared: res.cleared, spawned, score: res.score };
+		}
+
+		canMove(direction) {
+			return slideBoard(this.board, direction).moved;
+		}
+
+		maxTile() {
+			return maxTile(this.board);
+		}
+
+		isWon() {
+			return maxTile(this.board) >= this.target;
+		}
+
+		isOver() {
+			return !hasMovesAvailable(this.board);
+		}
+
+		snapshot() {
+			return {
+				size: this.size,
+				target: this.target,
+				tileValue: this.tileValue,
+				spawnTable: this.spawnTable.map(e => ({ value: e.value, weight: e.weight })),
+				...(this.specials && { specials: { ...this.specials } }),
+				...(this.spawnScript && { spawnScript: this.spawnScript.map(e => ({ ...e })) }),
+				seed: this.seed,
+				rngState: this.rng.state,
+				board: cloneBoard(this.board),
+				moveCount: this.moveCount,
+				score: this.score,
+			};
+		}
+
+		// Puts board, steps and RNG back to an earlier point (see MoveHistory).
+		restore(state) {
+			this.board = cloneBoard(state.board);
+			this.moveCount = state.moveCount;
+			this.score = state.score || 0;
+			this.rng.state = state.rngState >>> 0;
+		}
+	}
+
+	// Undo/redo stack. Each entry is the state before a move plus the move itself,
+	// so redo replays the direction from the saved RNG state and spawns the same tile.
+	class MoveHistory {
+		constructor(options = {}) {
+			this.limit = options.limit || 100;
+			this.undoLimit = options.undoLimit != null ? options.undoLimit : null; // null = unlimited
+			this.past = options.past || [];
+			this.future = options.future || [];
+			this.undosUsed = options.undosUsed || 0;
+			this.trim();
+		}
+
+		record(before, direction, spawned) {
+			this.past.push({
+				board: cloneBoard(before.board),
+				moveCount: before.moveCount,
+				score: before.score,
+				rngState: before.rngState,
+				direction,
+				spawned: spawned.map(p => p.slice()),
+			});
+			this.future = [];
+			this.trim();
+		}
+
+		trim() {
+			if (this.past.length > this.limit) this.past.splice(0, this.past.length - this.limit);
+			if (this.future.length > this.limit) this.future.splice(0, this.future.length - this.limit);
+		}
+
+		undosLeft() {
+			return this.undoLimit == null ? Infinity : Math.max(0, this.undoLimit - this.undosUsed);
+		}
+
+		canUndo() {
+			return this.past.length > 0 && this.undosLeft() > 0;
+		}
+
+		canRedo() {
+			return this.future.length > 0;
+		}
+
+		undo(game) {
+			if (!this.canUndo()) return null;
+			const entry = this.past.pop();
+			this.future.push(entry);
+			this.undosUsed += 1;
+			game.restore(entry);
+			return entry;
+		}
+
+		// Returns the move events of the replayed move, or null when there is nothing to redo.
+		redo(game) {
+			if (!this.canRedo()) return null;
+			const entry = this.future.pop();
+			game.restore(entry);
+			const result = game.move(entry.direction);
+			this.past.push(entry);
+			this.trim();
+			return result;
+		}
+
+		toJSON() {
+			return { past: this.past, future: this.future, undosUsed: this.undosUsed, undoLimit: this.undoLimit };
+		}
+	}
+
+	return {
+		DEFAULTS,
+		MIN_SIZE,
+		MAX_SIZE,
+		Direction,
+		DIRECTIONS,
+		Special,
+		SPECIAL_KINDS,
+		Rng,
+		hashSeed,
+		Game,
+		MoveHistory,
+		createEmptyBoard,
+		cloneBoard,
+		getEmptyCells,
+		maxTile,
+		isTileValue,
+		isSpecialTile,
+		hasSpecialTiles,
+		validateVariant,
+		slideLine,
+		slideBoard,
+		canMergeSpecial,
+		hasMovesAvailable,
+	};
+});
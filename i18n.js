@@ -0,0 +1,181 @@
+'use strict';
+
+// Message lookup over per-locale catalogs (locales/*.js): dotted keys, {placeholders}, plural
+// forms and a locale -> base language -> fallback chain. DOM-free; exposed as I18n3072 in the
+// page and via require() in Node.
+(function (root, factory) {
+	const api = factory();
+	if (typeof module === 'object' && module.exports) module.exports = api;
+	else root.I18n3072 = api;
+})(typeof globalThis !== 'undefined' ? globalThis : this, function () {
+
+	const DEFAULT_LOCALE = 'en';
+
+	// { one: '…', other: '…' } picks a form by params.count; any other object is a group of keys.
+	function isPlural(value) {
+		return !!value && typeof value === 'object' && typeof value.other === 'string';
+	}
+
+	function lookup(catalog, key) {
+		let node = catalog;
+		for (const part of key.split('.')) {
+			if (!node || typeof node !== 'object' || !(part in node)) return undefined;
+			node = node[part];
+		}
+		return node;
+	}
+
+	// 'es-MX' -> ['es-MX', 'es', fallback], skipping duplicates.
+	function localeChain(locale, fallback = DEFAULT_LOCALE) {
+		const chain = [];
+		const add = (l) => { if (l && !chain.includes(l)) chain.push(l); };
+		add(locale);
+		if (locale) add(locale.split('-')[0]);
+		add(fallback);
+		return chain;
+	}
+
+	// Best available locale for a list of BCP 47 tags (e.g. navigator.languages): exact tag, then
+	// its base language, then any available regional variant of that language.
+	function matchLocale(requested, available, fallback = DEFAULT_LOCALE) {
+		const lower = available.map(l => l.toLowerCase());
+		for (const tag of requested || []) {
+			if (typeof tag !== 'string' || !tag) continue;
+			const want = tag.toLowerCase();
+			const base = want.split('-')[0];
+			const hit = [want, base].map(l => lower.indexOf(l)).find(i => i >= 0);
+			if (hit !== undefined) return available[hit];
+			const regional = lower.findIndex(l => l.split('-')[0] === base);
+			if (regional >= 0) return available[regional];
+		}
+		return fallback;
+	}
+
+	// Keys present in `reference` (plural forms count as one key) but missing from `catalog`.
+	function missingKeys(catalog, reference, prefix = '') {
+		const out = [];
+		for (const [key, value] of Object.entries(reference)) {
+			const path = prefix + key;
+			const own = catalog && typeof catalog === 'object' ? catalog[key] : undefined;
+			if (value && typeof value === 'object' && !isPlural(value)) out.push(...missingKeys(own, value, `${path}.`));
+			else if (own === undefined) out.push(path);
+		}
+		return out;
+	}
+
+	// Options: catalogs ({ en: {...}, zh: {...} }), locale, fallback, and debug to warn about keys
+	// that fall back or are missing everywhere. Numbers in params are formatted for the locale.
+	function createI18n(options = {}) {
+		const catalogs = options.catalogs || {};
+		const fallback = options.fallback || DEFAULT_LOCALE;
+		const debug = !!options.debug;
+		const warned = new Set();
+		let locale = fallback;
+		let chain = localeChain(locale, fallback);
+		let numberFormat = null;
+		let pluralRules = null;
+
+		function setLocale(next) {
+			locale = catalogs[next] ? next : matchLocale([next], Object.keys(catalogs), fallback);
+			chain = localeChain(locale, fallback);
+			try {
+				numberFormat = new Intl.NumberFormat(locale);
+				pluralRules = new Intl.PluralRules(locale);
+			} catch (_) {
+				numberFormat = null;
+				pluralRules = null;
+			}
+			return locale;
+		}
+
+		// `options` are Intl.NumberFormat options, e.g. { style: 'percent' }.
+		function formatNumber(n, options) {
+			if (!options) return numberFormat ? numberFormat.format(n) : String(n);
+			try {
+				return new Intl.NumberFormat(locale, options).format(n);
+			} catch (_) {
+				return String(n);
+			}
+		}
+
+		// `options` are Intl.DateTimeFormat options, e.g. { dateStyle: 'long' }.
+		function formatDate(date, options) {
+			try {
+				return new Intl.DateTimeFormat(locale, options).format(date);
+			} catch (_) {
+				return date.toDateString();
+			}
+		}
+
+		function warn(key, message) {
+			if (!debug || warned.has(`${locale}|${key}`)) return;
+			warned.add(`${locale}|${key}`);
+			console.warn(`[i18n] ${message}`);
+		}
+
+		function resolve(key) {
+			for (const l of chain) {
+				const value = catalogs[l] ? lookup(catalogs[l], key) : undefined;
+				if (value === undefined) continue;
+				if (l !== locale) warn(key, `"${key}" is missing in ${locale}, using ${l}`);
+				return value;
+			}
+			warn(key, `"${key}" is missing in every catalog`);
+			return undefined;
+		}
+
+		function interpolate(template, params) {
+			return template.replace(/\{(\w+)\}/g, (match, name) => {
+				if (!params || !(name in params)) return match;
+				const value = params[name];
+				return typeof value === 'number' ? formatNumber(value) : String(value);
+			});
+		}
+
+		// Translates `key`; returns the key itself when no catalog has it.
+		function t(key, params) {
+			let value = resolve(key);
+			if (value === undefined) return key;
+			if (isPlural(value)) {
+				const count = params && typeof params.count === 'number' ? params.count : 0;
+				const form = pluralRules ? pluralRules.select(count) : (count === 1 ? 'one' : 'other');
+				value = value[form] != null ? value[form] : value.other;
+			}
+			return typeof value === 'string' ? interpolate(value, params) : key;
+		}
+
+		function has(key) {
+			return chain.some(l => catalogs[l] && lookup(catalogs[l], key) !== undefined);
+		}
+
+		// Missing keys of every locale compared with the fallback catalog: { ja: ['…'], … }.
+		function report() {
+			const out = {};
+			for (const l of Object.keys(catalogs)) {
+				if (l !== fallback) out[l] = missingKeys(catalogs[l], catalogs[fallback] || {});
+			}
+			return out;
+		}
+
+		setLocale(options.locale || fallback);
+
+		return {
+			get locale() { return locale; },
+			get locales() { return Object.keys(catalogs); },
+			setLocale,
+			t,
+			has,
+			formatNumber,
+			formatDate,
+			report,
+		};
+	}
+
+	return {
+		DEFAULT_LOCALE,
+		localeChain,
+		matchLocale,
+		missingKeys,
+		createI18n,
+	};
+});
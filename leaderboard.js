@@ -0,0 +1,139 @@
+'use strict';
+
+// Local leaderboard: player profiles and finished-game results kept in IndexedDB, plus the
+// filtering, sorting and CSV export behind the leaderboard view. DOM-free like engine.js; exposed
+// as Leaderboard3072 in the page and via require() in Node (pass an IndexedDB implementation to
+// openStore there).
+(function (root, factory) {
+	const api = factory();
+	if (typeof module === 'object' && module.exports) module.exports = api;
+	else root.Leaderboard3072 = api;
+})(typeof globalThis !== 'undefined' ? globalThis : this, function () {
+
+	const DB_NAME = 'game-3072-leaderboard';
+	const DB_VERSION = 1;
+	const NAME_MAX = 24;
+
+	const MODES = Object.freeze(['classic', 'daily', 'challenge', 'puzzle']);
+	const PERIODS = Object.freeze(['today', 'week', 'all']);
+	const AVATAR_COLORS = Object.freeze(['#ef4444', '#f59e0b', '#10b981', '#3b82f6', '#8b5cf6', '#ec4899', '#14b8a6', '#64748b']);
+
+	// A result is { id, profileId, mode, score, steps, maxTile, won, undoUsed, date (ms) }.
+	// Ties fall back to the more recent game.
+	const SORTS = Object.freeze({
+		score: (a, b) => b.score - a.score || b.maxTile - a.maxTile || b.date - a.date,
+		maxTile: (a, b) => b.maxTile - a.maxTile || b.score - a.score || b.date - a.date,
+		steps: (a, b) => a.steps - b.steps || b.score - a.score || b.date - a.date, // fewest first
+		date: (a, b) => b.date - a.date,
+	});
+
+	function isValidProfile(profile) {
+		return !!profile && typeof profile.name === 'string' && profile.name.trim().length > 0
+			&& profile.name.length <= NAME_MAX && /^#[0-9a-f]{6}$/i.test(profile.color);
+	}
+
+	// Start of a period in local time: today since midnight, week as the last seven days.
+	function periodStart(period, now = new Date()) {
+		if (period === 'all') return -Infinity;
+		const start = new Date(now.getFullYear(), now.getMonth(), now.getDate());
+		if (period === 'week') start.setDate(start.getDate() - 6);
+		return start.getTime();
+	}
+
+	// `filter` is { mode?, period?, profileId? }; missing fields match everything.
+	function filterResults(results, filter = {}, now = new Date()) {
+		const since = periodStart(filter.period || 'all', now);
+		return results.filter(r => (!filter.mode || r.mode === filter.mode)
+			&& (filter.profileId == null || r.profileId === filter.profileId)
+			&& r.date >= since);
+	}
+
+	function sortResults(results, sort = 'score') {
+		return results.slice().sort(SORTS[sort] || SORTS.score);
+	}
+
+	// Quotes fields that need it and defuses spreadsheet formulas in text such as player names.
+	function csvField(value) {
+		let text = value == null ? '' : String(value);
+		if (typeof value === 'string' && /^[=+\-@\t\r]/.test(text)) text = `'${text}`;
+		return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+	}
+
+	// `rows` are arrays of cells, the first one usually the header.
+	function toCsv(rows) {
+		return rows.map(row => row.map(csvField).join(',')).join('\r\n') + '\r\n';
+	}
+
+	function request(req) {
+		return new Promise((resolve, reject) => {
+			req.onsuccess = () => resolve(req.result);
+			req.onerror = () => reject(req.error);
+		});
+	}
+
+	// Runs `fn` in one transaction and resolves with the result of the request it returns, once
+	// the transaction has committed.
+	function transact(db, names, mode, fn) {
+		return new Promise((resolve, reject) => {
+			const tx = db.transaction(names, mode);
+			const req = fn(tx);
+			tx.oncomplete = () => resolve(req ? req.result : undefined);
+			tx.onerror = () => reject(tx.error);
+			tx.onabort = () => reject(tx.error);
+		});
+	}
+
+	// Resolves with the store API; rejects when IndexedDB is missing or blocked.
+	function openStore(idb) {
+		if (!idb) return Promise.reject(new Error('IndexedDB is unavailable'));
+		let open;
+		try {
+			open = idb.open(DB_NAME, DB_VERSION);
+		} catch (err) {
+			return Promise.reject(err);
+		}
+		open.onupgradeneeded = () => {
+			const db = open.result;
+			db.createObjectStore('profiles', { keyPath: 'id', autoIncrement: true });
+			db.createObjectStore('results', { keyPath: 'id', autoIncrement: true }).createIndex('profileId', 'profileId');
+		};
+		return request(open).then(db => ({
+			profiles: () => transact(db, 'profiles', 'readonly', tx => tx.objectStore('profiles').getAll()),
+			// Resolves with the new profile's id.
+			addProfile(profile) {
+				if (!isValidProfile(profile)) return Promise.reject(new Error('Invalid profile'));
+				return transact(db, 'profiles', 'readwrite', tx => tx.objectStore('profiles').add({ name: profile.name.trim(), color: profile.color }));
+			},
+			// Removes the profile together with all of its results.
+			deleteProfile(id) {
+				return transact(db, ['profiles', 'results'], 'readwrite', (tx) => {
+					tx.objectStore('profiles').delete(id);
+					const cursor = tx.objectStore('results').index('profileId').openCursor(id);
+					cursor.onsuccess = () => {
+						if (!cursor.result) return;
+						cursor.result.delete();
+						cursor.result.continue();
+					};
+					return null;
+				});
+			},
+			results: () => transact(db, 'results', 'readonly', tx => tx.objectStore('results').getAll()),
+			// Adds a result, or replaces the one with the same id; resolves with its id.
+			putResult: result => transact(db, 'results', 'readwrite', tx => tx.objectStore('results').put(result)),
+		}));
+	}
+
+	return {
+		MODES,
+		PERIODS,
+		AVATAR_COLORS,
+		NAME_MAX,
+		SORTS,
+		isValidProfile,
+		periodStart,
+		filterResults,
+		sortResults,
+		toCsv,
+		openStore,
+	};
+});
@@ -0,0 +1,390 @@
+'use strict';
+
+// English messages. This is the fallback catalog: every key used by the app must exist here,
+// and the other locales are checked against it (see report() in i18n.js).
+// {name} is a placeholder; { one, other } objects are plural forms chosen by {count}.
+(function (root, messages) {
+	if (typeof module === 'object' && module.exports) module.exports = messages;
+	else (root.I18nCatalogs = root.I18nCatalogs || {}).en = messages;
+})(typeof globalThis !== 'undefined' ? globalThis : this, {
+	languageName: 'English',
+	language: 'Language',
+	title: '3072 Number Merge',
+	subtitle: 'Merge tiles to reach {target}',
+	steps: 'Steps',
+	restart: 'Restart',
+	restarted: 'Game reset',
+	helper: 'Tip: Use arrow keys or swipe on the board. Ctrl+Z / Ctrl+Y to undo / redo.',
+	rulesTitle: 'How to Play',
+	rule1: 'The board is {size}×{size}. Two {base}-tiles appear at start.',
+	rule1Mixed: 'The board is {size}×{size}. Two tiles appear at start.',
+	rule2: 'After every valid move, a new {base} appears at a random empty cell.',
+	rule2Mixed: 'After every valid move, a new tile appears at a random empty cell: {spawns}.',
+	rule3: 'Use buttons/arrow keys/swipe to shift all tiles to the edge.',
+	rule4: 'Adjacent equal tiles merge into their sum. A tile merges once per move.',
+	rule5: 'Reach {target} to win; no moves and no merges left means game over.',
+	rule6: 'Use Restart anytime to reset the game.',
+	ruleSpecials: 'Special tiles: a stone never moves or merges, a ★ wildcard merges with any number and doubles it, and a 💣 bomb merges with any tile and clears the 3×3 area around it.',
+	spawnShare: '{value} ({percent})',
+	playAgain: 'Play Again',
+	winTitle: 'Congratulations!',
+	loseTitle: 'Game Over',
+	usedSteps: { one: 'Used {count} step', other: 'Used {count} steps' },
+	undo: 'Undo',
+	redo: 'Redo',
+	undone: 'Move undone',
+	redone: 'Move redone',
+	settingsTitle: 'Settings',
+	historyDepth: 'Undo history depth',
+	undoLimit: 'Undos per game',
+	undoUnlimited: 'Unlimited',
+	undoNone: 'None',
+	score: 'Score',
+	best: 'Best',
+	statsTitle: 'Statistics',
+	statPlayed: 'Games played',
+	statWins: 'Wins',
+	statWinRate: 'Win rate',
+	statFastest: 'Fastest win (steps)',
+	statHighest: 'Highest tile',
+	statHistogram: 'Final max tile',
+	statsEmpty: 'No finished games yet.',
+	resetStats: 'Reset statistics',
+	resetStatsConfirm: 'Clear all statistics and the best score?',
+	statsCleared: 'Statistics cleared',
+	continue: 'Continue',
+	continuing: 'Keep going! Next milestone: {next}',
+	milestone: 'Milestone reached: {value}!',
+	finalTile: 'Highest tile: {value}',
+	directions: { Up: 'Up', Down: 'Down', Left: 'Left', Right: 'Right' },
+	directionControls: 'Direction controls',
+	hint: 'Hint',
+	autoplay: 'Autoplay',
+	autoplaySpeed: 'Autoplay speed',
+	speedSlow: 'Slow',
+	speedNormal: 'Normal',
+	speedFast: 'Fast',
+	aiDepth: 'AI search depth',
+	aiTime: 'AI time per move',
+	hintResult: 'Hint: move {direction}',
+	hintNone: 'No moves available',
+	aiUnavailable: 'The AI needs Web Worker support; open the game over http(s).',
+	dailyTitle: 'Daily Challenge',
+	dailyPlay: "Play today's challenge",
+	dailyResume: "Resume today's challenge",
+	dailyExit: 'Back to normal game',
+	dailyShare: 'Share result',
+	dailyStreak: 'Current streak',
+	dailyBestStreak: 'Best streak',
+	dailyReady: 'Challenge for {date}: same board and tiles for everyone, one attempt.',
+	dailyInProgress: 'Playing the challenge for {date}. Undo and AI help are off.',
+	dailyDone: 'Done for {date}, come back tomorrow!',
+	dailyResult: { one: 'Score {score} · {count} step · max tile {maxTile}', other: 'Score {score} · {count} steps · max tile {maxTile}' },
+	dailyBanner: 'Daily challenge · {date}',
+	dailyStarted: 'Daily challenge for {date} started',
+	dailyShareHeader: '3072 Daily {date}',
+	dailyOneAttempt: 'The daily challenge has one attempt per day.',
+	dailyNoAi: 'AI help is off during the daily challenge.',
+	copied: 'Copied to clipboard',
+	dismiss: 'Dismiss',
+	board: 'Board',
+	emptyCell: 'empty',
+	specialTiles: { stone: 'stone', wildcard: 'wildcard', bomb: 'bomb' },
+	cellLabel: 'Row {row}, column {col}: {value}',
+	rowReadout: 'Row {row}: {values}',
+	columnReadout: 'Column {col}: {values}',
+	listSeparator: ', ',
+	moveSummary: {
+		moved: { Up: 'Moved up', Down: 'Moved down', Left: 'Moved left', Right: 'Moved right' },
+		merges: { one: '{count} merge', other: '{count} merges' },
+		blast: { one: 'bomb cleared {count} tile', other: 'bomb cleared {count} tiles' },
+		highest: 'highest {value}',
+		spawn: 'new {value} at row {row}, column {col}',
+	},
+	boardHelp: 'Arrow keys move the tiles. Shift+arrow keys move between cells, Shift+R reads the row and Shift+C the column.',
+	controlsTitle: 'Controls',
+	keyPreset: 'Key layout',
+	presetArrows: 'Arrow keys',
+	presetWasd: 'WASD',
+	presetHjkl: 'HJKL (vim)',
+	pressKey: 'Press a key…',
+	bindLabel: '{action}: {key}. Activate to change.',
+	keyConflict: '{key} is already used for {action}.',
+	keyReserved: '{key} cannot be bound.',
+	theme: 'Theme',
+	themeAuto: 'Match system',
+	themeLight: 'Light',
+	themeDark: 'Dark',
+	themeContrast: 'High contrast',
+	themeColorblind: 'Colorblind-safe',
+	mute: 'Mute sound',
+	unmute: 'Turn sound on',
+	volume: 'Sound volume',
+	haptics: 'Vibration',
+	animationSpeed: 'Animations',
+	animOff: 'Off',
+	animFast: 'Fast',
+	animNormal: 'Normal',
+	animSlow: 'Slow',
+	inputMode: 'Moves during animations',
+	inputQueued: 'Queue them',
+	inputDrop: 'Ignore them',
+	inputInstant: 'No animation',
+	controlsHelp: 'Click a key and press the new one (Esc cancels). Game controllers work with the d-pad or left stick.',
+	updateAvailable: 'A new version of the game is available.',
+	updateReload: 'Reload',
+	confirmDiscard: 'Start over? Progress in the current game that is not in a save slot will be lost.',
+	slotsTitle: 'Saved Games',
+	slotName: 'Save name',
+	slotNamePlaceholder: 'Save name (optional)',
+	saveSlot: 'Save current game',
+	slotsEmpty: 'No saved games yet.',
+	slotDefaultName: 'Save {n}',
+	slotCopyName: '{name} (copy)',
+	slotMeta: { one: '{count} step · max {max} · {when}', other: '{count} steps · max {max} · {when}' },
+	slotActions: { load: 'Load', rename: 'Rename', duplicate: 'Duplicate', delete: 'Delete' },
+	slotActionLabel: '{action}: {name}',
+	slotRenamePrompt: 'New name for this save:',
+	slotDeleteConfirm: 'Delete "{name}"?',
+	slotSaved: 'Saved as "{name}"',
+	slotLoaded: 'Loaded "{name}"',
+	slotLoadFailed: 'This save cannot be loaded because {reason}.',
+	slotsFull: { one: 'You can keep only {count} save. Delete it first.', other: 'You can keep up to {count} saves. Delete one first.' },
+	slotStorageFull: 'Not enough storage space to save.',
+	slotDailyBlocked: 'The daily challenge cannot be saved to a slot.',
+	saveRejected: 'Your saved game could not be loaded because {reason}. A new game was started; the old save was kept as a backup.',
+	saveErrors: {
+		parse: 'the data is corrupted',
+		version: 'it was made by a newer version of the game',
+		variant: 'its game settings are invalid',
+		board: 'the board does not match its size',
+		values: 'it contains impossible tile values',
+		moveCount: 'its step count is invalid',
+		score: 'its score is invalid',
+		impossible: 'its tiles could not be reached in that many steps',
+	},
+	replayTitle: 'Replays',
+	replayWatch: 'Watch this game',
+	replayExport: 'Export',
+	replayCopyLink: 'Copy link',
+	replayImport: 'Import & watch',
+	replayPlaceholder: 'Paste a replay string or link here',
+	replayCopied: 'Replay link copied',
+	replayStarted: { one: 'Replay loaded: {count} move', other: 'Replay loaded: {count} moves' },
+	replayPlay: 'Play',
+	replayPause: 'Pause',
+	replayStepBack: 'Step back',
+	replayStepForward: 'Step forward',
+	replaySpeed: 'Speed',
+	replayScrub: 'Replay position',
+	replayExit: 'Exit replay',
+	replayPosition: 'Move {index} / {total}',
+	replayErrors: {
+		format: 'This is not a valid replay string.',
+		variant: 'The replay uses an invalid game variant.',
+		board: 'The replay has an invalid starting board.',
+		illegal: 'Rejected: move {move} is not legal under the game rules.',
+		spawn: 'Rejected: the tile spawned after move {move} does not match the recording.',
+	},
+	variantTitle: 'Game Variant',
+	variantPreset: 'Preset',
+	preset3072: '3072 (5×5, base 3)',
+	preset2048: 'Classic 2048 (4×4, base 2)',
+	presetSpecials: '3072 with special tiles',
+	presetCustom: 'Custom',
+	variantSize: 'Board size',
+	variantBase: 'Base tile',
+	variantTarget: 'Target',
+	variantSpawn: 'Spawn weights',
+	variantSpecials: 'Special tiles (% of spawns)',
+	applyVariant: 'Start new game',
+	variantApplied: 'New game started with the selected variant',
+	variantErrors: {
+		size: 'Board size must be {min}–{max}.',
+		tileValue: 'Base tile must be a positive whole number.',
+		target: 'Target must be the base tile doubled at least once.',
+		spawnTable: 'Spawn weights must be non-negative, not all zero, and below the target.',
+		specials: 'Special tile chances must be 0–99% and add up to less than 100%.',
+	},
+	matchTitle: 'Two Players',
+	matchVersus: 'Versus',
+	matchHotseat: 'Hot-seat',
+	matchVersusHelp: 'Versus: two boards from the same start. Player 1 uses WASD, player 2 the arrow keys. First to {target} wins; if both get stuck, the higher score wins.',
+	matchHotseatHelp: 'Hot-seat: take turns on one board and score your own merges. When the board reaches {target} or gets stuck, the higher score wins.',
+	matchPlayer: 'Player {n}',
+	matchPlayerScore: '{player}: {score}',
+	matchBoard: "{player}'s board",
+	matchPanelTitle: '{player} · {keys}',
+	matchTurn: "{player}'s turn",
+	matchStuck: '{player} is out of moves',
+	matchWinner: '{player} wins!',
+	matchDraw: "It's a draw!",
+	matchRematch: 'Rematch',
+	matchExit: 'Back to solo game',
+	matchStarted: { versus: 'Versus match started', hotseat: 'Hot-seat match started' },
+	challengeTitle: 'Challenges',
+	challengeMode: 'Mode',
+	challengeOption: 'Goal',
+	challengeNames: { timeAttack: 'Time Attack', moveLimit: 'Move Limit', sprint: 'Sprint' },
+	challengeGoals: {
+		timeAttack: { one: '{count} minute', other: '{count} minutes' },
+		moveLimit: '{tile} in {steps} steps',
+		sprint: 'Reach {tile}',
+	},
+	challengeHelp: {
+		timeAttack: { one: 'Score as much as you can in {count} minute. The clock starts with your first move and can be paused.', other: 'Score as much as you can in {count} minutes. The clock starts with your first move and can be paused.' },
+		moveLimit: 'Reach {tile} within {steps} steps.',
+		sprint: 'Reach {tile} as fast as you can. The clock starts with your first move and never stops.',
+	},
+	challengeRules: 'Undo, AI help and save slots are off. Leaving a run ends it.',
+	challengeStart: 'Start challenge',
+	challengeExit: 'Back to normal game',
+	challengeStarted: '{name} started',
+	challengePause: 'Pause',
+	challengeResume: 'Resume',
+	challengePaused: 'Clock paused',
+	challengeResumed: 'Clock running',
+	challengeStepsLeft: { one: '{count} step left', other: '{count} steps left' },
+	challengeEnd: { time: "Time's up!", stuck: 'No moves left', target: 'Goal reached!', steps: 'Out of steps' },
+	challengeResults: {
+		score: 'Score {score} · highest tile {maxTile}',
+		steps: { one: 'Reached {tile} in {count} step', other: 'Reached {tile} in {count} steps' },
+		time: 'Reached {tile} in {time}',
+		lost: { one: 'Highest tile {maxTile} after {count} step', other: 'Highest tile {maxTile} after {count} steps' },
+	},
+	challengeBest: 'Personal best: {result}',
+	challengeNoBest: 'No personal best yet.',
+	challengeNewBest: 'New personal best!',
+	challengeNoAi: 'AI help is off during challenges.',
+	slotChallengeBlocked: 'Challenge runs cannot be saved to a slot.',
+	puzzleTitle: 'Puzzles',
+	puzzleProgress: 'Solved {solved} of {total} · {stars} of {maxStars} stars',
+	puzzleRules: 'Undo is allowed; AI help and save slots are off. Solve within par for ★★★, within two more moves for ★★.',
+	puzzleLevels: {
+		firstMerge: 'First merge',
+		oneLeft: 'One left',
+		staircase: 'Staircase',
+		tidyUp: 'Tidy up',
+		incoming: 'Incoming',
+		bigBoard: 'Big board',
+		crowded: 'Crowded',
+		finale: 'Finale',
+	},
+	puzzleLevelName: '{n}. {name}',
+	puzzleLevelLabel: '{name}: {goal}. {status}',
+	puzzleCustom: 'Custom level',
+	puzzleGoals: { tile: 'Make a {tile}', single: 'Clear the board down to one tile' },
+	puzzleWithin: { one: '{goal} in {count} move', other: '{goal} in {count} moves' },
+	puzzleMovesLeft: { one: '{count} move left', other: '{count} moves left' },
+	puzzlePar: 'Par {par}',
+	puzzleStarted: '{name}: {goal}',
+	puzzleEnd: { goal: 'Puzzle solved!', moves: 'Out of moves', stuck: 'No moves left' },
+	puzzleResult: { one: 'Solved in {count} move {stars}', other: 'Solved in {count} moves {stars}' },
+	puzzleBest: { one: 'Best: {count} move {stars}', other: 'Best: {count} moves {stars}' },
+	puzzleNewBest: 'New best for this level!',
+	puzzleStars: { one: '{count} star', other: '{count} stars' },
+	puzzleUnsolved: 'not solved yet',
+	puzzleLocked: 'locked until the previous level is solved',
+	puzzleRetry: 'Retry',
+	puzzleNext: 'Next level',
+	puzzleExit: 'Back to normal game',
+	puzzleEditLevel: 'Open in editor',
+	puzzleNoAi: 'AI help is off in puzzles.',
+	slotPuzzleBlocked: 'Puzzles cannot be saved to a slot.',
+	editorTitle: 'Level Editor',
+	editorName: 'Name',
+	editorNamePlaceholder: 'Level name (optional)',
+	editorPaint: 'Paint',
+	editorEraser: 'Eraser',
+	editorGrid: 'Level board: click a cell to paint it',
+	editorGoal: 'Goal',
+	editorGoalTypes: { tile: 'Make a tile', single: 'One tile left' },
+	editorGoalTile: 'Goal tile',
+	editorMoves: 'Move limit (0 = none)',
+	editorPar: 'Par (moves for ★★★)',
+	editorSpawns: 'Spawn script',
+	editorSpawnsHelp: 'Values in order, one per move, e.g. "3 6@1:4 3". A value@row:column lands on that cell when it is free, otherwise on the first empty cell. Leave empty for no spawns.',
+	editorTest: 'Test play',
+	editorClear: 'Clear board',
+	editorExport: 'Export JSON',
+	editorImport: 'Import JSON',
+	editorPlaceholder: 'Paste level JSON here',
+	editorImported: 'Level loaded into the editor',
+	puzzleErrors: {
+		format: 'This is not valid level JSON.',
+		name: 'The name can be at most 40 characters.',
+		size: 'Board size must be {min}–{max}.',
+		tileValue: 'Base tile must be a positive whole number.',
+		board: 'Place at least one tile; every tile must be the base tile doubled zero or more times.',
+		spawns: 'The spawn script has a value or cell that does not fit this board.',
+		goal: 'Pick a goal tile above the base that the starting board does not already meet.',
+		par: 'Par must be at least 1 and no more than the move limit.',
+	},
+	reportOpen: 'Analyze game',
+	reportTitle: 'Game Report',
+	reportChartLabel: 'Highest tile and empty cells after each move',
+	reportMaxTile: 'Highest tile',
+	reportEmpty: 'Empty cells',
+	reportBlunders: 'Blunders',
+	reportBlundersTitle: 'Biggest blunders',
+	reportStop: 'Stop',
+	reportClose: 'Close report',
+	reportUnavailable: 'This game cannot be analyzed.',
+	reportRunning: 'Analyzing move {move} of {total}…',
+	reportDone: 'Game report ready',
+	reportStopped: 'Stopped after {move} of {total} moves.',
+	reportSummary: 'Moves analyzed: {moves} · Accuracy: {accuracy} · Inaccuracies: {inaccuracies} · Blunders: {blunders}',
+	reportMove: 'Move {move}',
+	reportWaiting: 'No blunders so far…',
+	reportNoBlunders: 'No blunders found. Well played!',
+	reportBlunder: 'Move {move}: played {played}, best was {best}',
+	reportDetail: 'Empty cells: {empty} · Monotonicity penalty: {monotonicity} · Expected value: {played} (best {best})',
+	reportTry: 'Try from here',
+	reportTrying: 'Back before move {move}. Try a different direction.',
+	reportStale: 'That game is no longer on the board.',
+	shareImage: 'Share image',
+	shareAsText: 'Share as text',
+	shareHeader: '3072 · {title} · {date}',
+	shareSaved: 'Image saved',
+	shareFailed: 'Could not share the result.',
+	profilePlayer: 'Player',
+	profilesTitle: 'Players',
+	profileName: 'Player name',
+	profileNamePlaceholder: 'Player name',
+	profileColor: 'Avatar color',
+	profileAdd: 'Add player',
+	profileAdded: '{name} joined the leaderboard',
+	profileDefaultName: 'Player {n}',
+	profileInvalid: 'Enter a name of up to {max} characters.',
+	profileTaken: 'There is already a player called {name}.',
+	profileDelete: 'Remove',
+	profileDeleteLabel: 'Remove {name}',
+	profileDeleteConfirm: 'Remove {name} and all of their results?',
+	profileSelected: 'Now playing: {name}',
+	profileNewGame: 'New game for {name}. Pick another player above the board before the first move.',
+	profileLocked: 'The player can only be changed before the first move.',
+	leaderboardTitle: 'Leaderboard',
+	leaderboardUnavailable: 'The leaderboard needs browser storage (IndexedDB), which is not available here.',
+	leaderboardSaveFailed: 'Could not save this game to the leaderboard.',
+	leaderboardResults: 'Results',
+	leaderboardMode: 'Mode',
+	leaderboardAllModes: 'All modes',
+	leaderboardModes: { classic: 'Classic', daily: 'Daily', challenge: 'Challenge', puzzle: 'Puzzle' },
+	leaderboardPeriod: 'Period',
+	leaderboardPeriods: { today: 'Today', week: 'This week', all: 'All time' },
+	leaderboardProfile: 'Player',
+	leaderboardAllPlayers: 'All players',
+	leaderboardSort: 'Sort by',
+	leaderboardFewestSteps: 'Fewest steps',
+	leaderboardNewest: 'Newest',
+	leaderboardPlayer: 'Player',
+	leaderboardMaxTile: 'Max tile',
+	leaderboardDate: 'Date',
+	leaderboardUndo: 'Undo',
+	leaderboardUndoYes: 'Used',
+	leaderboardUndoNo: '—',
+	leaderboardWon: 'Won',
+	leaderboardEmpty: 'No games match these filters yet.',
+	leaderboardExport: 'Export CSV',
+	leaderboardExported: { one: 'Exported {count} result', other: 'Exported {count} results' },
+});
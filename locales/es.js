@@ -0,0 +1,388 @@
+'use strict';
+
+// Spanish messages.
+(function (root, messages) {
+	if (typeof module === 'object' && module.exports) module.exports = messages;
+	else (root.I18nCatalogs = root.I18nCatalogs || {}).es = messages;
+})(typeof globalThis !== 'undefined' ? globalThis : this, {
+	languageName: 'Español',
+	language: 'Idioma',
+	title: '3072: une los números',
+	subtitle: 'Une fichas hasta llegar a {target}',
+	steps: 'Pasos',
+	restart: 'Reiniciar',
+	restarted: 'Partida reiniciada',
+	helper: 'Consejo: usa las flechas del teclado o desliza sobre el tablero. Ctrl+Z / Ctrl+Y para deshacer / rehacer.',
+	rulesTitle: 'Cómo jugar',
+	rule1: 'El tablero es de {size}×{size}. Al empezar aparecen dos fichas de {base}.',
+	rule1Mixed: 'El tablero es de {size}×{size}. Al empezar aparecen dos fichas.',
+	rule2: 'Tras cada movimiento válido aparece un {base} en una casilla vacía al azar.',
+	rule2Mixed: 'Tras cada movimiento válido aparece una ficha nueva en una casilla vacía al azar: {spawns}.',
+	rule3: 'Usa los botones, las flechas o desliza para llevar todas las fichas hasta el borde.',
+	rule4: 'Dos fichas iguales y contiguas se unen en su suma. Cada ficha se une una sola vez por movimiento.',
+	rule5: 'Llega a {target} para ganar; si no quedan movimientos ni uniones, la partida termina.',
+	rule6: 'Pulsa Reiniciar cuando quieras para empezar de nuevo.',
+	ruleSpecials: 'Fichas especiales: la piedra nunca se mueve ni se une, el comodín ★ se une con cualquier número y lo duplica, y la bomba 💣 se une con cualquier ficha y despeja el área de 3×3 a su alrededor.',
+	spawnShare: '{value} ({percent})',
+	playAgain: 'Jugar otra vez',
+	winTitle: '¡Enhorabuena!',
+	loseTitle: 'Fin de la partida',
+	usedSteps: { one: 'Has usado {count} paso', other: 'Has usado {count} pasos' },
+	undo: 'Deshacer',
+	redo: 'Rehacer',
+	undone: 'Movimiento deshecho',
+	redone: 'Movimiento rehecho',
+	settingsTitle: 'Ajustes',
+	historyDepth: 'Historial para deshacer',
+	undoLimit: 'Deshacer por partida',
+	undoUnlimited: 'Sin límite',
+	undoNone: 'Ninguno',
+	score: 'Puntos',
+	best: 'Récord',
+	statsTitle: 'Estadísticas',
+	statPlayed: 'Partidas jugadas',
+	statWins: 'Victorias',
+	statWinRate: 'Porcentaje de victorias',
+	statFastest: 'Victoria más rápida (pasos)',
+	statHighest: 'Ficha más alta',
+	statHistogram: 'Ficha más alta al final',
+	statsEmpty: 'Todavía no has terminado ninguna partida.',
+	resetStats: 'Borrar estadísticas',
+	resetStatsConfirm: '¿Borrar todas las estadísticas y el récord?',
+	statsCleared: 'Estadísticas borradas',
+	continue: 'Continuar',
+	continuing: '¡Sigue así! Próximo hito: {next}',
+	milestone: '¡Hito alcanzado: {value}!',
+	finalTile: 'Ficha más alta: {value}',
+	directions: { Up: 'Arriba', Down: 'Abajo', Left: 'Izquierda', Right: 'Derecha' },
+	directionControls: 'Controles de dirección',
+	hint: 'Pista',
+	autoplay: 'Juego automático',
+	autoplaySpeed: 'Velocidad del juego automático',
+	speedSlow: 'Lenta',
+	speedNormal: 'Normal',
+	speedFast: 'Rápida',
+	aiDepth: 'Profundidad de búsqueda de la IA',
+	aiTime: 'Tiempo de la IA por movimiento',
+	hintResult: 'Pista: mueve hacia {direction}',
+	hintNone: 'No hay movimientos posibles',
+	aiUnavailable: 'La IA necesita Web Workers; abre el juego por http(s).',
+	dailyTitle: 'Reto diario',
+	dailyPlay: 'Jugar el reto de hoy',
+	dailyResume: 'Continuar el reto de hoy',
+	dailyExit: 'Volver a la partida normal',
+	dailyShare: 'Compartir resultado',
+	dailyStreak: 'Racha actual',
+	dailyBestStreak: 'Mejor racha',
+	dailyReady: 'Reto del {date}: el mismo tablero y las mismas fichas para todos, un solo intento.',
+	dailyInProgress: 'Jugando el reto del {date}. Deshacer y la ayuda de la IA están desactivados.',
+	dailyDone: 'Reto del {date} completado. ¡Vuelve mañana!',
+	dailyResult: { one: 'Puntos {score} · {count} paso · ficha más alta {maxTile}', other: 'Puntos {score} · {count} pasos · ficha más alta {maxTile}' },
+	dailyBanner: 'Reto diario · {date}',
+	dailyStarted: 'Reto diario del {date} iniciado',
+	dailyShareHeader: '3072 Reto diario {date}',
+	dailyOneAttempt: 'El reto diario tiene un solo intento al día.',
+	dailyNoAi: 'La ayuda de la IA está desactivada en el reto diario.',
+	copied: 'Copiado al portapapeles',
+	dismiss: 'Cerrar',
+	board: 'Tablero',
+	emptyCell: 'vacía',
+	specialTiles: { stone: 'piedra', wildcard: 'comodín', bomb: 'bomba' },
+	cellLabel: 'Fila {row}, columna {col}: {value}',
+	rowReadout: 'Fila {row}: {values}',
+	columnReadout: 'Columna {col}: {values}',
+	listSeparator: ', ',
+	moveSummary: {
+		moved: { Up: 'Movido arriba', Down: 'Movido abajo', Left: 'Movido a la izquierda', Right: 'Movido a la derecha' },
+		merges: { one: '{count} unión', other: '{count} uniones' },
+		blast: { one: 'la bomba despejó {count} ficha', other: 'la bomba despejó {count} fichas' },
+		highest: 'máxima {value}',
+		spawn: 'nuevo {value} en la fila {row}, columna {col}',
+	},
+	boardHelp: 'Las flechas mueven las fichas. Mayús+flechas recorre las casillas, Mayús+R lee la fila y Mayús+C la columna.',
+	controlsTitle: 'Controles',
+	keyPreset: 'Distribución de teclas',
+	presetArrows: 'Flechas',
+	presetWasd: 'WASD',
+	presetHjkl: 'HJKL (vim)',
+	pressKey: 'Pulsa una tecla…',
+	bindLabel: '{action}: {key}. Actívalo para cambiarla.',
+	keyConflict: '{key} ya se usa para «{action}».',
+	keyReserved: '{key} no se puede asignar.',
+	theme: 'Tema',
+	themeAuto: 'Como el sistema',
+	themeLight: 'Claro',
+	themeDark: 'Oscuro',
+	themeContrast: 'Alto contraste',
+	themeColorblind: 'Apto para daltonismo',
+	mute: 'Silenciar',
+	unmute: 'Activar sonido',
+	volume: 'Volumen',
+	haptics: 'Vibración',
+	animationSpeed: 'Animaciones',
+	animOff: 'Desactivadas',
+	animFast: 'Rápidas',
+	animNormal: 'Normales',
+	animSlow: 'Lentas',
+	inputMode: 'Movimientos durante las animaciones',
+	inputQueued: 'Ponerlos en cola',
+	inputDrop: 'Ignorarlos',
+	inputInstant: 'Sin animación',
+	controlsHelp: 'Haz clic en una tecla y pulsa la nueva (Esc cancela). Los mandos funcionan con la cruceta o el joystick izquierdo.',
+	updateAvailable: 'Hay una nueva versión del juego.',
+	updateReload: 'Recargar',
+	confirmDiscard: '¿Empezar de nuevo? Se perderá el progreso de la partida actual que no esté guardado en una ranura.',
+	slotsTitle: 'Partidas guardadas',
+	slotName: 'Nombre de la partida',
+	slotNamePlaceholder: 'Nombre (opcional)',
+	saveSlot: 'Guardar partida actual',
+	slotsEmpty: 'Todavía no hay partidas guardadas.',
+	slotDefaultName: 'Partida {n}',
+	slotCopyName: '{name} (copia)',
+	slotMeta: { one: '{count} paso · máx. {max} · {when}', other: '{count} pasos · máx. {max} · {when}' },
+	slotActions: { load: 'Cargar', rename: 'Renombrar', duplicate: 'Duplicar', delete: 'Eliminar' },
+	slotActionLabel: '{action}: {name}',
+	slotRenamePrompt: 'Nuevo nombre para esta partida:',
+	slotDeleteConfirm: '¿Eliminar «{name}»?',
+	slotSaved: 'Guardada como «{name}»',
+	slotLoaded: '«{name}» cargada',
+	slotLoadFailed: 'No se puede cargar esta partida porque {reason}.',
+	slotsFull: { one: 'Solo puedes guardar {count} partida. Elimínala primero.', other: 'Puedes guardar hasta {count} partidas. Elimina una primero.' },
+	slotStorageFull: 'No hay espacio suficiente para guardar.',
+	slotDailyBlocked: 'El reto diario no se puede guardar en una ranura.',
+	saveRejected: 'No se pudo cargar tu partida guardada porque {reason}. Se ha empezado una nueva; la anterior se conserva como copia de seguridad.',
+	saveErrors: {
+		parse: 'los datos están dañados',
+		version: 'se creó con una versión más reciente del juego',
+		variant: 'su configuración de juego no es válida',
+		board: 'el tablero no coincide con su tamaño',
+		values: 'contiene valores de ficha imposibles',
+		moveCount: 'su número de pasos no es válido',
+		score: 'su puntuación no es válida',
+		impossible: 'sus fichas no se pueden alcanzar en tan pocos pasos',
+	},
+	replayTitle: 'Repeticiones',
+	replayWatch: 'Ver esta partida',
+	replayExport: 'Exportar',
+	replayCopyLink: 'Copiar enlace',
+	replayImport: 'Importar y ver',
+	replayPlaceholder: 'Pega aquí una repetición o un enlace',
+	replayCopied: 'Enlace de la repetición copiado',
+	replayStarted: { one: 'Repetición cargada: {count} movimiento', other: 'Repetición cargada: {count} movimientos' },
+	replayPlay: 'Reproducir',
+	replayPause: 'Pausa',
+	replayStepBack: 'Paso atrás',
+	replayStepForward: 'Paso adelante',
+	replaySpeed: 'Velocidad',
+	replayScrub: 'Posición de la repetición',
+	replayExit: 'Salir de la repetición',
+	replayPosition: 'Movimiento {index} / {total}',
+	replayErrors: {
+		format: 'No es una repetición válida.',
+		variant: 'La repetición usa una variante de juego no válida.',
+		board: 'La repetición tiene un tablero inicial no válido.',
+		illegal: 'Rechazada: el movimiento {move} no es legal según las reglas.',
+		spawn: 'Rechazada: la ficha que aparece tras el movimiento {move} no coincide con la grabación.',
+	},
+	variantTitle: 'Variante de juego',
+	variantPreset: 'Predefinida',
+	preset3072: '3072 (5×5, base 3)',
+	preset2048: '2048 clásico (4×4, base 2)',
+	presetSpecials: '3072 con fichas especiales',
+	presetCustom: 'Personalizada',
+	variantSize: 'Tamaño del tablero',
+	variantBase: 'Ficha base',
+	variantTarget: 'Objetivo',
+	variantSpawn: 'Pesos de aparición',
+	variantSpecials: 'Fichas especiales (% de apariciones)',
+	applyVariant: 'Empezar partida nueva',
+	variantApplied: 'Nueva partida con la variante elegida',
+	variantErrors: {
+		size: 'El tamaño del tablero debe estar entre {min} y {max}.',
+		tileValue: 'La ficha base debe ser un número entero positivo.',
+		target: 'El objetivo debe ser la ficha base duplicada al menos una vez.',
+		spawnTable: 'Los pesos de aparición no pueden ser negativos ni todos cero, y las fichas deben ser menores que el objetivo.',
+		specials: 'Las probabilidades de fichas especiales deben estar entre 0 y 99 % y sumar menos del 100 %.',
+	},
+	matchTitle: 'Dos jugadores',
+	matchVersus: 'Duelo',
+	matchHotseat: 'Por turnos',
+	matchVersusHelp: 'Duelo: dos tableros con el mismo comienzo. El jugador 1 usa WASD y el jugador 2 las flechas. Gana quien llegue antes a {target}; si los dos se quedan sin movimientos, gana la puntuación más alta.',
+	matchHotseatHelp: 'Por turnos: movéis por turnos en un mismo tablero y cada uno suma sus propias uniones. Cuando el tablero llega a {target} o se bloquea, gana la puntuación más alta.',
+	matchPlayer: 'Jugador {n}',
+	matchPlayerScore: '{player}: {score}',
+	matchBoard: 'Tablero de {player}',
+	matchPanelTitle: '{player} · {keys}',
+	matchTurn: 'Turno de {player}',
+	matchStuck: '{player} no puede moverse',
+	matchWinner: '¡Gana {player}!',
+	matchDraw: '¡Empate!',
+	matchRematch: 'Revancha',
+	matchExit: 'Volver a la partida individual',
+	matchStarted: { versus: 'Duelo iniciado', hotseat: 'Partida por turnos iniciada' },
+	challengeTitle: 'Retos',
+	challengeMode: 'Modo',
+	challengeOption: 'Objetivo',
+	challengeNames: { timeAttack: 'Contrarreloj', moveLimit: 'Pasos limitados', sprint: 'Sprint' },
+	challengeGoals: {
+		timeAttack: { one: '{count} minuto', other: '{count} minutos' },
+		moveLimit: '{tile} en {steps} pasos',
+		sprint: 'Llegar a {tile}',
+	},
+	challengeHelp: {
+		timeAttack: { one: 'Consigue la máxima puntuación en {count} minuto. El reloj empieza con tu primer movimiento y se puede pausar.', other: 'Consigue la máxima puntuación en {count} minutos. El reloj empieza con tu primer movimiento y se puede pausar.' },
+		moveLimit: 'Llega a {tile} en {steps} pasos como máximo.',
+		sprint: 'Llega a {tile} lo antes posible. El reloj empieza con tu primer movimiento y no se detiene.',
+	},
+	challengeRules: 'Deshacer, la ayuda de la IA y las ranuras de guardado están desactivados. Salir termina el intento.',
+	challengeStart: 'Empezar reto',
+	challengeExit: 'Volver a la partida normal',
+	challengeStarted: '{name}: reto iniciado',
+	challengePause: 'Pausa',
+	challengeResume: 'Reanudar',
+	challengePaused: 'Reloj en pausa',
+	challengeResumed: 'Reloj en marcha',
+	challengeStepsLeft: { one: 'Queda {count} paso', other: 'Quedan {count} pasos' },
+	challengeEnd: { time: '¡Se acabó el tiempo!', stuck: 'No quedan movimientos', target: '¡Objetivo cumplido!', steps: 'Sin pasos' },
+	challengeResults: {
+		score: 'Puntos {score} · ficha más alta {maxTile}',
+		steps: { one: 'Llegaste a {tile} en {count} paso', other: 'Llegaste a {tile} en {count} pasos' },
+		time: 'Llegaste a {tile} en {time}',
+		lost: { one: 'Ficha más alta {maxTile} tras {count} paso', other: 'Ficha más alta {maxTile} tras {count} pasos' },
+	},
+	challengeBest: 'Mejor marca: {result}',
+	challengeNoBest: 'Todavía no tienes mejor marca.',
+	challengeNewBest: '¡Nueva mejor marca!',
+	challengeNoAi: 'La ayuda de la IA está desactivada en los retos.',
+	slotChallengeBlocked: 'Los retos no se pueden guardar en una ranura.',
+	puzzleTitle: 'Rompecabezas',
+	puzzleProgress: 'Resueltos {solved} de {total} · {stars} de {maxStars} estrellas',
+	puzzleRules: 'Se puede deshacer; la ayuda de la IA y las ranuras de guardado están desactivadas. Resuelve dentro del par para ★★★ y con hasta dos movimientos más para ★★.',
+	puzzleLevels: {
+		firstMerge: 'Primera unión',
+		oneLeft: 'Solo una',
+		staircase: 'Escalera',
+		tidyUp: 'Ordenar',
+		incoming: 'Refuerzos',
+		bigBoard: 'Tablero grande',
+		crowded: 'Abarrotado',
+		finale: 'Final',
+	},
+	puzzleLevelName: '{n}. {name}',
+	puzzleLevelLabel: '{name}: {goal}. {status}',
+	puzzleCustom: 'Nivel personalizado',
+	puzzleGoals: { tile: 'Consigue un {tile}', single: 'Deja el tablero con una sola ficha' },
+	puzzleWithin: { one: '{goal} en {count} movimiento', other: '{goal} en {count} movimientos' },
+	puzzleMovesLeft: { one: 'Queda {count} movimiento', other: 'Quedan {count} movimientos' },
+	puzzlePar: 'Par {par}',
+	puzzleStarted: '{name}: {goal}',
+	puzzleEnd: { goal: '¡Rompecabezas resuelto!', moves: 'Sin movimientos restantes', stuck: 'No quedan movimientos posibles' },
+	puzzleResult: { one: 'Resuelto en {count} movimiento {stars}', other: 'Resuelto en {count} movimientos {stars}' },
+	puzzleBest: { one: 'Mejor: {count} movimiento {stars}', other: 'Mejor: {count} movimientos {stars}' },
+	puzzleNewBest: '¡Nueva mejor marca en este nivel!',
+	puzzleStars: { one: '{count} estrella', other: '{count} estrellas' },
+	puzzleUnsolved: 'sin resolver',
+	puzzleLocked: 'bloqueado hasta resolver el nivel anterior',
+	puzzleRetry: 'Reintentar',
+	puzzleNext: 'Siguiente nivel',
+	puzzleExit: 'Volver a la partida normal',
+	puzzleEditLevel: 'Abrir en el editor',
+	puzzleNoAi: 'La ayuda de la IA está desactivada en los rompecabezas.',
+	slotPuzzleBlocked: 'Los rompecabezas no se pueden guardar en una ranura.',
+	editorTitle: 'Editor de niveles',
+	editorName: 'Nombre',
+	editorNamePlaceholder: 'Nombre del nivel (opcional)',
+	editorPaint: 'Pintar',
+	editorEraser: 'Borrador',
+	editorGrid: 'Tablero del nivel: haz clic en una casilla para pintarla',
+	editorGoal: 'Objetivo',
+	editorGoalTypes: { tile: 'Conseguir una ficha', single: 'Dejar una ficha' },
+	editorGoalTile: 'Ficha objetivo',
+	editorMoves: 'Límite de movimientos (0 = sin límite)',
+	editorPar: 'Par (movimientos para ★★★)',
+	editorSpawns: 'Guion de apariciones',
+	editorSpawnsHelp: 'Valores en orden, uno por movimiento, p. ej. «3 6@1:4 3». Un valor@fila:columna aparece en esa casilla si está libre y, si no, en la primera casilla vacía. Déjalo vacío para que no aparezca nada.',
+	editorTest: 'Probar',
+	editorClear: 'Vaciar tablero',
+	editorExport: 'Exportar JSON',
+	editorImport: 'Importar JSON',
+	editorPlaceholder: 'Pega aquí el JSON del nivel',
+	editorImported: 'Nivel cargado en el editor',
+	puzzleErrors: {
+		format: 'Esto no es un JSON de nivel válido.',
+		name: 'El nombre puede tener como máximo 40 caracteres.',
+		size: 'El tamaño del tablero debe estar entre {min} y {max}.',
+		tileValue: 'La ficha base debe ser un número entero positivo.',
+		board: 'Coloca al menos una ficha; cada ficha debe ser la ficha base duplicada cero o más veces.',
+		spawns: 'El guion de apariciones tiene un valor o una casilla que no encaja en este tablero.',
+		goal: 'Elige una ficha objetivo mayor que la base que el tablero inicial no cumpla ya.',
+		par: 'El par debe ser al menos 1 y no superar el límite de movimientos.',
+	},
+	reportOpen: 'Analizar partida',
+	reportTitle: 'Informe de la partida',
+	reportChartLabel: 'Ficha más alta y casillas vacías tras cada movimiento',
+	reportMaxTile: 'Ficha más alta',
+	reportEmpty: 'Casillas vacías',
+	reportBlunders: 'Errores graves',
+	reportBlundersTitle: 'Peores errores',
+	reportStop: 'Detener',
+	reportClose: 'Cerrar informe',
+	reportUnavailable: 'Esta partida no se puede analizar.',
+	reportRunning: 'Analizando el movimiento {move} de {total}…',
+	reportDone: 'Informe de la partida listo',
+	reportStopped: 'Detenido tras {move} de {total} movimientos.',
+	reportSummary: 'Movimientos analizados: {moves} · Precisión: {accuracy} · Imprecisiones: {inaccuracies} · Errores graves: {blunders}',
+	reportMove: 'Movimiento {move}',
+	reportWaiting: 'Sin errores graves por ahora…',
+	reportNoBlunders: 'No se encontraron errores graves. ¡Bien jugado!',
+	reportBlunder: 'Movimiento {move}: jugaste {played}, lo mejor era {best}',
+	reportDetail: 'Casillas vacías: {empty} · Penalización de monotonía: {monotonicity} · Valor esperado: {played} (mejor {best})',
+	reportTry: 'Probar desde aquí',
+	reportTrying: 'De vuelta antes del movimiento {move}. Prueba otra dirección.',
+	reportStale: 'Esa partida ya no está en el tablero.',
+	shareImage: 'Compartir imagen',
+	shareAsText: 'Compartir como texto',
+	shareHeader: '3072 · {title} · {date}',
+	shareSaved: 'Imagen guardada',
+	shareFailed: 'No se pudo compartir el resultado.',
+	profilePlayer: 'Jugador',
+	profilesTitle: 'Jugadores',
+	profileName: 'Nombre del jugador',
+	profileNamePlaceholder: 'Nombre del jugador',
+	profileColor: 'Color del avatar',
+	profileAdd: 'Añadir jugador',
+	profileAdded: '{name} se unió a la clasificación',
+	profileDefaultName: 'Jugador {n}',
+	profileInvalid: 'Escribe un nombre de hasta {max} caracteres.',
+	profileTaken: 'Ya hay un jugador llamado {name}.',
+	profileDelete: 'Quitar',
+	profileDeleteLabel: 'Quitar a {name}',
+	profileDeleteConfirm: '¿Quitar a {name} y todos sus resultados?',
+	profileSelected: 'Ahora juega: {name}',
+	profileNewGame: 'Nueva partida para {name}. Elige otro jugador encima del tablero antes del primer movimiento.',
+	profileLocked: 'El jugador solo se puede cambiar antes del primer movimiento.',
+	leaderboardTitle: 'Clasificación',
+	leaderboardUnavailable: 'La clasificación necesita el almacenamiento del navegador (IndexedDB), que no está disponible aquí.',
+	leaderboardSaveFailed: 'No se pudo guardar esta partida en la clasificación.',
+	leaderboardResults: 'Resultados',
+	leaderboardMode: 'Modo',
+	leaderboardAllModes: 'Todos los modos',
+	leaderboardModes: { classic: 'Clásico', daily: 'Diario', challenge: 'Desafío', puzzle: 'Puzle' },
+	leaderboardPeriod: 'Periodo',
+	leaderboardPeriods: { today: 'Hoy', week: 'Esta semana', all: 'Siempre' },
+	leaderboardProfile: 'Jugador',
+	leaderboardAllPlayers: 'Todos los jugadores',
+	leaderboardSort: 'Ordenar por',
+	leaderboardFewestSteps: 'Menos movimientos',
+	leaderboardNewest: 'Más recientes',
+	leaderboardPlayer: 'Jugador',
+	leaderboardMaxTile: 'Ficha máx.',
+	leaderboardDate: 'Fecha',
+	leaderboardUndo: 'Deshacer',
+	leaderboardUndoYes: 'Usado',
+	leaderboardUndoNo: '—',
+	leaderboardWon: 'Ganada',
+	leaderboardEmpty: 'Todavía no hay partidas con estos filtros.',
+	leaderboardExport: 'Exportar CSV',
+	leaderboardExported: { one: '{count} resultado exportado', other: '{count} resultados exportados' },
+});
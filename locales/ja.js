@@ -0,0 +1,388 @@
+'use strict';
+
+// Japanese messages.
+(function (root, messages) {
+	if (typeof module === 'object' && module.exports) module.exports = messages;
+	else (root.I18nCatalogs = root.I18nCatalogs || {}).ja = messages;
+})(typeof globalThis !== 'undefined' ? globalThis : this, {
+	languageName: '日本語',
+	language: '言語',
+	title: '3072 ナンバーマージ',
+	subtitle: 'タイルを合わせて {target} を目指そう',
+	steps: '手数',
+	restart: 'リスタート',
+	restarted: 'ゲームをリセットしました',
+	helper: 'ヒント：矢印キーまたは盤面のスワイプで操作できます。Ctrl+Z / Ctrl+Y で元に戻す / やり直し。',
+	rulesTitle: '遊び方',
+	rule1: '盤面は {size}×{size} です。最初に {base} のタイルが 2 枚現れます。',
+	rule1Mixed: '盤面は {size}×{size} です。最初にタイルが 2 枚現れます。',
+	rule2: '有効な移動のたびに、空いているマスのどこかに {base} が現れます。',
+	rule2Mixed: '有効な移動のたびに、空いているマスのどこかに新しいタイルが現れます：{spawns}。',
+	rule3: 'ボタン・矢印キー・スワイプで、すべてのタイルを端まで動かします。',
+	rule4: '隣り合う同じ数字は合体して合計になります。1 回の移動で合体できるのは 1 度だけです。',
+	rule5: '{target} を作れば勝ち。動かせず合体もできなくなるとゲームオーバーです。',
+	rule6: 'リスタートでいつでもゲームをやり直せます。',
+	ruleSpecials: '特殊タイル：石は動かず合体もしません。★ ワイルドカードはどの数字とも合体して 2 倍にし、💣 爆弾はどのタイルとも合体して周囲 3×3 を消します。',
+	spawnShare: '{value}（{percent}）',
+	playAgain: 'もう一度',
+	winTitle: 'おめでとう！',
+	loseTitle: 'ゲームオーバー',
+	usedSteps: { other: '{count} 手でクリア' },
+	undo: '元に戻す',
+	redo: 'やり直し',
+	undone: '1 手戻しました',
+	redone: '1 手やり直しました',
+	settingsTitle: '設定',
+	historyDepth: '元に戻せる手数',
+	undoLimit: '1 ゲームで元に戻せる回数',
+	undoUnlimited: '無制限',
+	undoNone: 'なし',
+	score: 'スコア',
+	best: 'ベスト',
+	statsTitle: '統計',
+	statPlayed: 'プレイ回数',
+	statWins: '勝利数',
+	statWinRate: '勝率',
+	statFastest: '最短勝利（手）',
+	statHighest: '最大タイル',
+	statHistogram: '最終的な最大タイル',
+	statsEmpty: '終了したゲームはまだありません。',
+	resetStats: '統計をリセット',
+	resetStatsConfirm: 'すべての統計とベストスコアを消去しますか？',
+	statsCleared: '統計を消去しました',
+	continue: '続ける',
+	continuing: 'その調子！次の目標：{next}',
+	milestone: '{value} に到達しました！',
+	finalTile: '最大タイル：{value}',
+	directions: { Up: '上', Down: '下', Left: '左', Right: '右' },
+	directionControls: '方向ボタン',
+	hint: 'ヒント',
+	autoplay: '自動プレイ',
+	autoplaySpeed: '自動プレイの速さ',
+	speedSlow: '遅い',
+	speedNormal: '普通',
+	speedFast: '速い',
+	aiDepth: 'AI の探索の深さ',
+	aiTime: 'AI の 1 手あたりの思考時間',
+	hintResult: 'ヒント：{direction}へ動かす',
+	hintNone: '動かせる方向がありません',
+	aiUnavailable: 'AI には Web Worker が必要です。http(s) でゲームを開いてください。',
+	dailyTitle: 'デイリーチャレンジ',
+	dailyPlay: '今日のチャレンジに挑戦',
+	dailyResume: '今日のチャレンジを再開',
+	dailyExit: '通常モードに戻る',
+	dailyShare: '結果を共有',
+	dailyStreak: '現在の連続日数',
+	dailyBestStreak: '最長連続日数',
+	dailyReady: '{date} のチャレンジ：全員が同じ盤面とタイルで、挑戦は 1 回だけです。',
+	dailyInProgress: '{date} のチャレンジに挑戦中。元に戻す・AI の手助けは使えません。',
+	dailyDone: '{date} のチャレンジは完了です。また明日！',
+	dailyResult: { other: 'スコア {score} · {count} 手 · 最大タイル {maxTile}' },
+	dailyBanner: 'デイリーチャレンジ · {date}',
+	dailyStarted: '{date} のデイリーチャレンジを開始しました',
+	dailyShareHeader: '3072 デイリー {date}',
+	dailyOneAttempt: 'デイリーチャレンジは 1 日 1 回だけです。',
+	dailyNoAi: 'デイリーチャレンジ中は AI の手助けを使えません。',
+	copied: 'クリップボードにコピーしました',
+	dismiss: '閉じる',
+	board: '盤面',
+	emptyCell: '空き',
+	specialTiles: { stone: '石', wildcard: 'ワイルドカード', bomb: '爆弾' },
+	cellLabel: '{row} 行 {col} 列：{value}',
+	rowReadout: '{row} 行目：{values}',
+	columnReadout: '{col} 列目：{values}',
+	listSeparator: '、',
+	moveSummary: {
+		moved: { Up: '上へ移動', Down: '下へ移動', Left: '左へ移動', Right: '右へ移動' },
+		merges: { other: '{count} 回合体' },
+		blast: { other: '爆弾でタイルを {count} 枚消去' },
+		highest: '最大 {value}',
+		spawn: '{row} 行 {col} 列に新しい {value}',
+	},
+	boardHelp: '矢印キーでタイルを動かします。Shift+矢印キーでマスを移動し、Shift+R で行を、Shift+C で列を読み上げます。',
+	controlsTitle: '操作',
+	keyPreset: 'キー配置',
+	presetArrows: '矢印キー',
+	presetWasd: 'WASD',
+	presetHjkl: 'HJKL（vim）',
+	pressKey: 'キーを押してください…',
+	bindLabel: '{action}：{key}。選択すると変更できます。',
+	keyConflict: '{key} はすでに「{action}」に使われています。',
+	keyReserved: '{key} は割り当てられません。',
+	theme: 'テーマ',
+	themeAuto: 'システムに合わせる',
+	themeLight: 'ライト',
+	themeDark: 'ダーク',
+	themeContrast: 'ハイコントラスト',
+	themeColorblind: '色覚多様性に配慮',
+	mute: 'ミュート',
+	unmute: 'サウンドをオン',
+	volume: '音量',
+	haptics: '振動',
+	animationSpeed: 'アニメーション',
+	animOff: 'オフ',
+	animFast: '速い',
+	animNormal: '普通',
+	animSlow: '遅い',
+	inputMode: 'アニメーション中の操作',
+	inputQueued: '順番に実行',
+	inputDrop: '無視する',
+	inputInstant: 'アニメーションなし',
+	controlsHelp: 'キーをクリックしてから新しいキーを押してください（Esc で取り消し）。ゲームパッドは十字キーか左スティックで操作できます。',
+	updateAvailable: 'ゲームの新しいバージョンがあります。',
+	updateReload: '再読み込み',
+	confirmDiscard: '最初からやり直しますか？セーブスロットに保存していない進行状況は失われます。',
+	slotsTitle: 'セーブデータ',
+	slotName: 'セーブ名',
+	slotNamePlaceholder: 'セーブ名（任意）',
+	saveSlot: '現在のゲームを保存',
+	slotsEmpty: 'セーブデータはまだありません。',
+	slotDefaultName: 'セーブ {n}',
+	slotCopyName: '{name}（コピー）',
+	slotMeta: { other: '{count} 手 · 最大 {max} · {when}' },
+	slotActions: { load: '読み込む', rename: '名前を変更', duplicate: '複製', delete: '削除' },
+	slotActionLabel: '{action}：{name}',
+	slotRenamePrompt: 'このセーブの新しい名前：',
+	slotDeleteConfirm: '「{name}」を削除しますか？',
+	slotSaved: '「{name}」として保存しました',
+	slotLoaded: '「{name}」を読み込みました',
+	slotLoadFailed: 'このセーブは読み込めません：{reason}。',
+	slotsFull: { other: 'セーブは {count} 個までです。先に 1 つ削除してください。' },
+	slotStorageFull: '保存する空き容量がありません。',
+	slotDailyBlocked: 'デイリーチャレンジはスロットに保存できません。',
+	saveRejected: 'セーブデータを読み込めませんでした：{reason}。新しいゲームを開始し、古いセーブはバックアップとして残しました。',
+	saveErrors: {
+		parse: 'データが壊れています',
+		version: '新しいバージョンのゲームで作られています',
+		variant: 'ゲーム設定が無効です',
+		board: '盤面のサイズが一致しません',
+		values: 'ありえないタイルの数字が含まれています',
+		moveCount: '手数が無効です',
+		score: 'スコアが無効です',
+		impossible: 'その手数ではこれらのタイルに到達できません',
+	},
+	replayTitle: 'リプレイ',
+	replayWatch: 'このゲームを見る',
+	replayExport: 'エクスポート',
+	replayCopyLink: 'リンクをコピー',
+	replayImport: '読み込んで再生',
+	replayPlaceholder: 'リプレイ文字列またはリンクを貼り付け',
+	replayCopied: 'リプレイのリンクをコピーしました',
+	replayStarted: { other: 'リプレイを読み込みました：{count} 手' },
+	replayPlay: '再生',
+	replayPause: '一時停止',
+	replayStepBack: '1 手戻る',
+	replayStepForward: '1 手進む',
+	replaySpeed: '速度',
+	replayScrub: '再生位置',
+	replayExit: 'リプレイを終了',
+	replayPosition: '{index} / {total} 手',
+	replayErrors: {
+		format: '有効なリプレイ文字列ではありません。',
+		variant: 'リプレイのゲーム設定が無効です。',
+		board: 'リプレイの初期盤面が無効です。',
+		illegal: '却下：{move} 手目はルール上ありえない移動です。',
+		spawn: '却下：{move} 手目の後に現れたタイルが記録と一致しません。',
+	},
+	variantTitle: 'ゲームのバリエーション',
+	variantPreset: 'プリセット',
+	preset3072: '3072（5×5、基本 3）',
+	preset2048: 'クラシック 2048（4×4、基本 2）',
+	presetSpecials: '3072（特殊タイルあり）',
+	presetCustom: 'カスタム',
+	variantSize: '盤面の大きさ',
+	variantBase: '基本タイル',
+	variantTarget: '目標',
+	variantSpawn: '出現の重み',
+	variantSpecials: '特殊タイル（出現率 %）',
+	applyVariant: '新しいゲームを開始',
+	variantApplied: '選んだバリエーションで新しいゲームを開始しました',
+	variantErrors: {
+		size: '盤面の大きさは {min}–{max} にしてください。',
+		tileValue: '基本タイルは正の整数にしてください。',
+		target: '目標は基本タイルを 1 回以上倍にした数にしてください。',
+		spawnTable: '出現の重みは 0 以上で、すべて 0 にはできず、目標より小さいタイルに限ります。',
+		specials: '特殊タイルの出現率は 0–99% で、合計 100% 未満にしてください。',
+	},
+	matchTitle: '2 人プレイ',
+	matchVersus: '対戦',
+	matchHotseat: '交代制',
+	matchVersusHelp: '対戦：同じ初期盤面の 2 つの盤面で競います。プレイヤー 1 は WASD、プレイヤー 2 は矢印キー。先に {target} を作った方の勝ち。両方とも動けなくなったらスコアの高い方の勝ちです。',
+	matchHotseatHelp: '交代制：1 つの盤面を交代で動かし、自分の合体で得点します。盤面に {target} ができるか動けなくなったら、スコアの高い方の勝ちです。',
+	matchPlayer: 'プレイヤー {n}',
+	matchPlayerScore: '{player}：{score}',
+	matchBoard: '{player}の盤面',
+	matchPanelTitle: '{player} · {keys}',
+	matchTurn: '{player}の番です',
+	matchStuck: '{player}は動かせなくなりました',
+	matchWinner: '{player}の勝ち！',
+	matchDraw: '引き分け！',
+	matchRematch: '再戦',
+	matchExit: '1 人プレイに戻る',
+	matchStarted: { versus: '対戦を開始しました', hotseat: '交代制の対戦を開始しました' },
+	challengeTitle: 'チャレンジ',
+	challengeMode: 'モード',
+	challengeOption: '目標',
+	challengeNames: { timeAttack: 'タイムアタック', moveLimit: '手数制限', sprint: 'スプリント' },
+	challengeGoals: {
+		timeAttack: { other: '{count} 分' },
+		moveLimit: '{steps} 手以内に {tile}',
+		sprint: '{tile} を作る',
+	},
+	challengeHelp: {
+		timeAttack: { other: '{count} 分間でできるだけ高いスコアを目指します。時計は最初の 1 手で動き出し、一時停止できます。' },
+		moveLimit: '{steps} 手以内に {tile} を作りましょう。',
+		sprint: 'できるだけ速く {tile} を作りましょう。時計は最初の 1 手で動き出し、止まりません。',
+	},
+	challengeRules: '元に戻す・AI の手助け・セーブは使えません。途中でやめるとその回は終了です。',
+	challengeStart: 'チャレンジ開始',
+	challengeExit: '通常モードに戻る',
+	challengeStarted: '{name} を開始しました',
+	challengePause: '一時停止',
+	challengeResume: '再開',
+	challengePaused: '時計を止めました',
+	challengeResumed: '時計が動いています',
+	challengeStepsLeft: { other: '残り {count} 手' },
+	challengeEnd: { time: 'タイムアップ！', stuck: '動かせなくなりました', target: '目標達成！', steps: '手数切れ' },
+	challengeResults: {
+		score: 'スコア {score} · 最大タイル {maxTile}',
+		steps: { other: '{count} 手で {tile} に到達' },
+		time: '{time} で {tile} に到達',
+		lost: { other: '{count} 手で最大タイル {maxTile}' },
+	},
+	challengeBest: '自己ベスト：{result}',
+	challengeNoBest: '自己ベストはまだありません。',
+	challengeNewBest: '自己ベスト更新！',
+	challengeNoAi: 'チャレンジ中は AI の手助けを使えません。',
+	slotChallengeBlocked: 'チャレンジはスロットに保存できません。',
+	puzzleTitle: 'パズル',
+	puzzleProgress: 'クリア {solved} / {total} · 星 {stars} / {maxStars}',
+	puzzleRules: '元に戻すは使えますが、AI の手助けとセーブは使えません。規定手数以内で ★★★、その 2 手以内で ★★。',
+	puzzleLevels: {
+		firstMerge: 'はじめての合体',
+		oneLeft: 'あと 1 枚',
+		staircase: '階段',
+		tidyUp: 'おかたづけ',
+		incoming: '来襲',
+		bigBoard: '大きな盤面',
+		crowded: 'ぎゅうぎゅう',
+		finale: 'フィナーレ',
+	},
+	puzzleLevelName: '{n}. {name}',
+	puzzleLevelLabel: '{name}：{goal}。{status}',
+	puzzleCustom: 'カスタムレベル',
+	puzzleGoals: { tile: '{tile} を作る', single: '盤面のタイルを 1 枚にする' },
+	puzzleWithin: { other: '{count} 手以内に{goal}' },
+	puzzleMovesLeft: { other: '残り {count} 手' },
+	puzzlePar: '規定 {par} 手',
+	puzzleStarted: '{name}：{goal}',
+	puzzleEnd: { goal: 'パズルクリア！', moves: '手数切れ', stuck: '動かせません' },
+	puzzleResult: { other: '{count} 手でクリア {stars}' },
+	puzzleBest: { other: 'ベスト：{count} 手 {stars}' },
+	puzzleNewBest: 'このレベルのベスト更新！',
+	puzzleStars: { other: '星 {count} つ' },
+	puzzleUnsolved: '未クリア',
+	puzzleLocked: '前のレベルをクリアすると解放',
+	puzzleRetry: 'もう一度',
+	puzzleNext: '次のレベル',
+	puzzleExit: '通常モードに戻る',
+	puzzleEditLevel: 'エディターで開く',
+	puzzleNoAi: 'パズル中は AI の手助けを使えません。',
+	slotPuzzleBlocked: 'パズルはセーブスロットに保存できません。',
+	editorTitle: 'レベルエディター',
+	editorName: '名前',
+	editorNamePlaceholder: 'レベル名（任意）',
+	editorPaint: 'ペイント',
+	editorEraser: '消しゴム',
+	editorGrid: 'レベルの盤面：マスをクリックして塗ります',
+	editorGoal: '目標',
+	editorGoalTypes: { tile: 'タイルを作る', single: '残り 1 枚' },
+	editorGoalTile: '目標タイル',
+	editorMoves: '手数制限（0 = なし）',
+	editorPar: '規定手数（★★★）',
+	editorSpawns: '出現スクリプト',
+	editorSpawnsHelp: '1 手ごとに出現する値を順に書きます（例：「3 6@1:4 3」）。「値@行:列」はそのマスが空いていればそこに、ふさがっていれば最初の空きマスに出現します。空欄なら出現しません。',
+	editorTest: 'テストプレイ',
+	editorClear: '盤面をクリア',
+	editorExport: 'JSON を書き出す',
+	editorImport: 'JSON を読み込む',
+	editorPlaceholder: 'レベルの JSON をここに貼り付け',
+	editorImported: 'レベルをエディターに読み込みました',
+	puzzleErrors: {
+		format: '有効なレベル JSON ではありません。',
+		name: '名前は 40 文字以内にしてください。',
+		size: '盤面サイズは {min}–{max} にしてください。',
+		tileValue: '基本タイルは正の整数にしてください。',
+		board: 'タイルを 1 枚以上置き、すべて基本タイルを 2 倍にしていった値にしてください。',
+		spawns: '出現スクリプトに盤面に合わない値かマスがあります。',
+		goal: '基本タイルより大きく、最初の盤面でまだ達成していない目標を選んでください。',
+		par: '規定手数は 1 以上で、手数制限以下にしてください。',
+	},
+	reportOpen: 'ゲームを分析',
+	reportTitle: '対局レポート',
+	reportChartLabel: '各手の後の最大タイルと空きマス',
+	reportMaxTile: '最大タイル',
+	reportEmpty: '空きマス',
+	reportBlunders: '悪手',
+	reportBlundersTitle: '大きな悪手',
+	reportStop: '停止',
+	reportClose: 'レポートを閉じる',
+	reportUnavailable: 'このゲームは分析できません。',
+	reportRunning: '{total} 手中 {move} 手目を分析中…',
+	reportDone: '対局レポートができました',
+	reportStopped: '{total} 手中 {move} 手で停止しました。',
+	reportSummary: '分析した手：{moves} · 正確さ：{accuracy} · 疑問手：{inaccuracies} · 悪手：{blunders}',
+	reportMove: '{move} 手目',
+	reportWaiting: 'まだ悪手はありません…',
+	reportNoBlunders: '悪手は見つかりませんでした。お見事！',
+	reportBlunder: '{move} 手目：{played}に動かしました。最善は{best}',
+	reportDetail: '空きマス：{empty} · 単調性ペナルティ：{monotonicity} · 期待値：{played}（最善 {best}）',
+	reportTry: 'ここから再挑戦',
+	reportTrying: '{move} 手目の前に戻りました。別の方向を試しましょう。',
+	reportStale: 'そのゲームはもう盤面にありません。',
+	shareImage: '画像で共有',
+	shareAsText: 'テキストで共有',
+	shareHeader: '3072 · {title} · {date}',
+	shareSaved: '画像を保存しました',
+	shareFailed: '結果を共有できませんでした。',
+	profilePlayer: 'プレイヤー',
+	profilesTitle: 'プレイヤー',
+	profileName: 'プレイヤー名',
+	profileNamePlaceholder: 'プレイヤー名',
+	profileColor: 'アバターの色',
+	profileAdd: 'プレイヤーを追加',
+	profileAdded: '{name} がランキングに参加しました',
+	profileDefaultName: 'プレイヤー {n}',
+	profileInvalid: '{max} 文字以内の名前を入力してください。',
+	profileTaken: '{name} という名前のプレイヤーはすでにいます。',
+	profileDelete: '削除',
+	profileDeleteLabel: '{name} を削除',
+	profileDeleteConfirm: '{name} とそのすべての記録を削除しますか？',
+	profileSelected: 'プレイ中：{name}',
+	profileNewGame: '{name} の新しいゲームです。最初の一手の前なら盤面の上で別のプレイヤーを選べます。',
+	profileLocked: 'プレイヤーは最初の一手の前にだけ変更できます。',
+	leaderboardTitle: 'ランキング',
+	leaderboardUnavailable: 'ランキングにはブラウザのストレージ（IndexedDB）が必要ですが、ここでは使えません。',
+	leaderboardSaveFailed: 'このゲームをランキングに保存できませんでした。',
+	leaderboardResults: '記録',
+	leaderboardMode: 'モード',
+	leaderboardAllModes: 'すべてのモード',
+	leaderboardModes: { classic: 'クラシック', daily: 'デイリー', challenge: 'チャレンジ', puzzle: 'パズル' },
+	leaderboardPeriod: '期間',
+	leaderboardPeriods: { today: '今日', week: '今週', all: '全期間' },
+	leaderboardProfile: 'プレイヤー',
+	leaderboardAllPlayers: 'すべてのプレイヤー',
+	leaderboardSort: '並べ替え',
+	leaderboardFewestSteps: '手数の少ない順',
+	leaderboardNewest: '新しい順',
+	leaderboardPlayer: 'プレイヤー',
+	leaderboardMaxTile: '最大タイル',
+	leaderboardDate: '日付',
+	leaderboardUndo: '取り消し',
+	leaderboardUndoYes: 'あり',
+	leaderboardUndoNo: '—',
+	leaderboardWon: '勝利',
+	leaderboardEmpty: '条件に合うゲームはまだありません。',
+	leaderboardExport: 'CSV を書き出す',
+	leaderboardExported: { other: '{count} 件の記録を書き出しました' },
+});
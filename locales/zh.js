@@ -0,0 +1,388 @@
+'use strict';
+
+// Simplified Chinese messages.
+(function (root, messages) {
+	if (typeof module === 'object' && module.exports) module.exports = messages;
+	else (root.I18nCatalogs = root.I18nCatalogs || {}).zh = messages;
+})(typeof globalThis !== 'undefined' ? globalThis : this, {
+	languageName: '简体中文',
+	language: '语言',
+	title: '3072推数字游戏',
+	subtitle: '合并出{target}即可获胜',
+	steps: '步数',
+	restart: '重新开始',
+	restarted: '游戏已重置',
+	helper: '提示：可用键盘方向键，或在棋盘上滑动；Ctrl+Z / Ctrl+Y 撤销 / 重做。',
+	rulesTitle: '游戏规则',
+	rule1: '棋盘为 {size}×{size}，初始随机生成两个数字卡片 {base}。',
+	rule1Mixed: '棋盘为 {size}×{size}，初始随机生成两个数字卡片。',
+	rule2: '每次有效移动后，随机在一个空格生成数字卡片 {base}。',
+	rule2Mixed: '每次有效移动后，随机在一个空格生成数字卡片：{spawns}。',
+	rule3: '使用按钮/方向键/滑动，让所有卡片向指令方向移动到底。',
+	rule4: '相邻且相同的数字会在移动中合并；单次移动每张卡片只合并一次。',
+	rule5: '当出现 {target} 即获胜；棋盘满且无可合并时游戏结束。',
+	rule6: '随时可点击“重新开始”重置本局。',
+	ruleSpecials: '特殊卡片：石块不会移动也不会合并；★ 万能卡可与任意数字合并并使其翻倍；💣 炸弹可与任意卡片合并，并清除周围 3×3 的区域。',
+	spawnShare: '{value}（{percent}）',
+	playAgain: '再来一局',
+	winTitle: '恭喜获胜',
+	loseTitle: '游戏结束',
+	usedSteps: { other: '本局用时 {count} 步' },
+	undo: '撤销',
+	redo: '重做',
+	undone: '已撤销一步',
+	redone: '已重做一步',
+	settingsTitle: '设置',
+	historyDepth: '撤销记录步数',
+	undoLimit: '每局可撤销次数',
+	undoUnlimited: '不限',
+	undoNone: '不允许',
+	score: '得分',
+	best: '最高分',
+	statsTitle: '统计',
+	statPlayed: '已玩局数',
+	statWins: '获胜局数',
+	statWinRate: '胜率',
+	statFastest: '最快获胜（步）',
+	statHighest: '最大数字',
+	statHistogram: '每局最终最大数字',
+	statsEmpty: '还没有完成的对局。',
+	resetStats: '重置统计',
+	resetStatsConfirm: '确定清空所有统计数据和最高分吗？',
+	statsCleared: '统计已清空',
+	continue: '继续游戏',
+	continuing: '继续挑战！下一个里程碑：{next}',
+	milestone: '达成里程碑：{value}！',
+	finalTile: '最大数字：{value}',
+	directions: { Up: '上', Down: '下', Left: '左', Right: '右' },
+	directionControls: '方向控制',
+	hint: '提示',
+	autoplay: '自动游戏',
+	autoplaySpeed: '自动游戏速度',
+	speedSlow: '慢',
+	speedNormal: '中',
+	speedFast: '快',
+	aiDepth: 'AI 搜索深度',
+	aiTime: 'AI 每步思考时间',
+	hintResult: '提示：向{direction}移动',
+	hintNone: '没有可行的移动',
+	aiUnavailable: 'AI 需要 Web Worker 支持，请通过 http(s) 打开游戏。',
+	dailyTitle: '每日挑战',
+	dailyPlay: '开始今日挑战',
+	dailyResume: '继续今日挑战',
+	dailyExit: '返回普通模式',
+	dailyShare: '分享成绩',
+	dailyStreak: '当前连续天数',
+	dailyBestStreak: '最长连续天数',
+	dailyReady: '{date} 的挑战：所有人棋盘与出块相同，每天仅一次机会。',
+	dailyInProgress: '正在进行 {date} 的挑战，撤销与 AI 辅助已关闭。',
+	dailyDone: '{date} 的挑战已完成，明天再来！',
+	dailyResult: { other: '得分 {score} · {count} 步 · 最大数字 {maxTile}' },
+	dailyBanner: '每日挑战 · {date}',
+	dailyStarted: '{date} 的每日挑战已开始',
+	dailyShareHeader: '3072 每日挑战 {date}',
+	dailyOneAttempt: '每日挑战每天只有一次机会。',
+	dailyNoAi: '每日挑战中不能使用 AI 辅助。',
+	copied: '已复制到剪贴板',
+	dismiss: '关闭',
+	board: '棋盘',
+	emptyCell: '空',
+	specialTiles: { stone: '石块', wildcard: '万能卡', bomb: '炸弹' },
+	cellLabel: '第 {row} 行第 {col} 列：{value}',
+	rowReadout: '第 {row} 行：{values}',
+	columnReadout: '第 {col} 列：{values}',
+	listSeparator: '，',
+	moveSummary: {
+		moved: { Up: '向上移动', Down: '向下移动', Left: '向左移动', Right: '向右移动' },
+		merges: { other: '合并 {count} 次' },
+		blast: { other: '炸弹清除了 {count} 张卡片' },
+		highest: '最大 {value}',
+		spawn: '新的 {value} 出现在第 {row} 行第 {col} 列',
+	},
+	boardHelp: '方向键移动数字。Shift+方向键在格子间移动，Shift+R 朗读整行，Shift+C 朗读整列。',
+	controlsTitle: '操作按键',
+	keyPreset: '按键方案',
+	presetArrows: '方向键',
+	presetWasd: 'WASD',
+	presetHjkl: 'HJKL（vim）',
+	pressKey: '请按键…',
+	bindLabel: '{action}：{key}。点击以更改。',
+	keyConflict: '{key} 已用于“{action}”。',
+	keyReserved: '{key} 不能绑定。',
+	theme: '主题',
+	themeAuto: '跟随系统',
+	themeLight: '浅色',
+	themeDark: '深色',
+	themeContrast: '高对比度',
+	themeColorblind: '色盲友好',
+	mute: '静音',
+	unmute: '打开声音',
+	volume: '音量',
+	haptics: '振动',
+	animationSpeed: '动画',
+	animOff: '关闭',
+	animFast: '快',
+	animNormal: '正常',
+	animSlow: '慢',
+	inputMode: '动画期间的操作',
+	inputQueued: '排队执行',
+	inputDrop: '忽略',
+	inputInstant: '不播放动画',
+	controlsHelp: '点击按键后按下新的键（Esc 取消）。游戏手柄可使用十字键或左摇杆。',
+	updateAvailable: '游戏有新版本可用。',
+	updateReload: '刷新',
+	confirmDiscard: '重新开始吗？当前游戏中未存入存档栏的进度将会丢失。',
+	slotsTitle: '存档',
+	slotName: '存档名称',
+	slotNamePlaceholder: '存档名称（可选）',
+	saveSlot: '保存当前游戏',
+	slotsEmpty: '还没有存档。',
+	slotDefaultName: '存档 {n}',
+	slotCopyName: '{name}（副本）',
+	slotMeta: { other: '{count} 步 · 最大 {max} · {when}' },
+	slotActions: { load: '读取', rename: '重命名', duplicate: '复制', delete: '删除' },
+	slotActionLabel: '{action}：{name}',
+	slotRenamePrompt: '为该存档输入新名称：',
+	slotDeleteConfirm: '删除“{name}”吗？',
+	slotSaved: '已保存为“{name}”',
+	slotLoaded: '已读取“{name}”',
+	slotLoadFailed: '无法读取该存档：{reason}。',
+	slotsFull: { other: '最多保留 {count} 个存档，请先删除一个。' },
+	slotStorageFull: '存储空间不足，无法保存。',
+	slotDailyBlocked: '每日挑战不能存入存档栏。',
+	saveRejected: '无法读取存档：{reason}。已开始新游戏，旧存档已另行备份。',
+	saveErrors: {
+		parse: '数据已损坏',
+		version: '存档来自更新版本的游戏',
+		variant: '游戏设置无效',
+		board: '棋盘尺寸不符',
+		values: '包含不可能出现的数字',
+		moveCount: '步数无效',
+		score: '得分无效',
+		impossible: '以该步数不可能得到这些数字',
+	},
+	replayTitle: '对局回放',
+	replayWatch: '回放本局',
+	replayExport: '导出',
+	replayCopyLink: '复制链接',
+	replayImport: '导入并回放',
+	replayPlaceholder: '在此粘贴回放字符串或链接',
+	replayCopied: '回放链接已复制',
+	replayStarted: { other: '已载入回放：共 {count} 步' },
+	replayPlay: '播放',
+	replayPause: '暂停',
+	replayStepBack: '后退一步',
+	replayStepForward: '前进一步',
+	replaySpeed: '速度',
+	replayScrub: '回放进度',
+	replayExit: '退出回放',
+	replayPosition: '第 {index} / {total} 步',
+	replayErrors: {
+		format: '这不是有效的回放字符串。',
+		variant: '回放使用了无效的游戏变体。',
+		board: '回放的初始棋盘无效。',
+		illegal: '已拒绝：第 {move} 步不符合游戏规则。',
+		spawn: '已拒绝：第 {move} 步后生成的卡片与记录不符。',
+	},
+	variantTitle: '游戏变体',
+	variantPreset: '预设',
+	preset3072: '3072（5×5，基础数 3）',
+	preset2048: '经典 2048（4×4，基础数 2）',
+	presetSpecials: '3072（含特殊卡片）',
+	presetCustom: '自定义',
+	variantSize: '棋盘大小',
+	variantBase: '基础数字',
+	variantTarget: '目标数字',
+	variantSpawn: '生成权重',
+	variantSpecials: '特殊卡片（生成概率 %）',
+	applyVariant: '开始新游戏',
+	variantApplied: '已按所选变体开始新游戏',
+	variantErrors: {
+		size: '棋盘大小须为 {min}–{max}。',
+		tileValue: '基础数字须为正整数。',
+		target: '目标数字须为基础数字至少翻倍一次。',
+		spawnTable: '生成权重不能为负、不能全为 0，且生成数字须小于目标。',
+		specials: '特殊卡片概率须为 0–99%，且总和小于 100%。',
+	},
+	matchTitle: '双人对战',
+	matchVersus: '同屏对战',
+	matchHotseat: '轮流对战',
+	matchVersusHelp: '同屏对战：两块开局相同的棋盘。玩家 1 用 WASD，玩家 2 用方向键。先合出 {target} 者获胜；若双方都无法移动，得分高者获胜。',
+	matchHotseatHelp: '轮流对战：在同一块棋盘上轮流移动，各自累计自己合并的得分。棋盘出现 {target} 或无法移动时，得分高者获胜。',
+	matchPlayer: '玩家 {n}',
+	matchPlayerScore: '{player}：{score}',
+	matchBoard: '{player}的棋盘',
+	matchPanelTitle: '{player} · {keys}',
+	matchTurn: '轮到{player}',
+	matchStuck: '{player}已无法移动',
+	matchWinner: '{player}获胜！',
+	matchDraw: '平局！',
+	matchRematch: '再战一局',
+	matchExit: '返回单人游戏',
+	matchStarted: { versus: '同屏对战已开始', hotseat: '轮流对战已开始' },
+	challengeTitle: '挑战模式',
+	challengeMode: '模式',
+	challengeOption: '目标',
+	challengeNames: { timeAttack: '限时挑战', moveLimit: '限步挑战', sprint: '竞速挑战' },
+	challengeGoals: {
+		timeAttack: { other: '{count} 分钟' },
+		moveLimit: '{steps} 步内合出 {tile}',
+		sprint: '合出 {tile}',
+	},
+	challengeHelp: {
+		timeAttack: { other: '在 {count} 分钟内拿到尽可能高的分数。计时从第一步开始，可以暂停。' },
+		moveLimit: '在 {steps} 步之内合出 {tile}。',
+		sprint: '尽快合出 {tile}。计时从第一步开始，中途不会停止。',
+	},
+	challengeRules: '挑战中不能撤销、不能使用 AI 辅助，也不能存档；中途离开即放弃本轮。',
+	challengeStart: '开始挑战',
+	challengeExit: '返回普通模式',
+	challengeStarted: '{name} 已开始',
+	challengePause: '暂停',
+	challengeResume: '继续',
+	challengePaused: '计时已暂停',
+	challengeResumed: '计时继续',
+	challengeStepsLeft: { other: '剩余 {count} 步' },
+	challengeEnd: { time: '时间到！', stuck: '无法继续移动', target: '达成目标！', steps: '步数用完' },
+	challengeResults: {
+		score: '得分 {score} · 最大数字 {maxTile}',
+		steps: { other: '{count} 步合出 {tile}' },
+		time: '用时 {time} 合出 {tile}',
+		lost: { other: '{count} 步后最大数字 {maxTile}' },
+	},
+	challengeBest: '个人最佳：{result}',
+	challengeNoBest: '还没有个人最佳。',
+	challengeNewBest: '刷新个人最佳！',
+	challengeNoAi: '挑战中不能使用 AI 辅助。',
+	slotChallengeBlocked: '挑战不能存入存档栏。',
+	puzzleTitle: '谜题',
+	puzzleProgress: '已解开 {solved} / {total} 关 · 星星 {stars} / {maxStars}',
+	puzzleRules: '可以撤销，但不能使用 AI 辅助或存档。在标准步数内完成得 ★★★，多两步以内得 ★★。',
+	puzzleLevels: {
+		firstMerge: '初次合并',
+		oneLeft: '只剩一张',
+		staircase: '阶梯',
+		tidyUp: '整理',
+		incoming: '来袭',
+		bigBoard: '大棋盘',
+		crowded: '拥挤',
+		finale: '终章',
+	},
+	puzzleLevelName: '{n}. {name}',
+	puzzleLevelLabel: '{name}：{goal}。{status}',
+	puzzleCustom: '自定义关卡',
+	puzzleGoals: { tile: '合出 {tile}', single: '让棋盘只剩一张卡片' },
+	puzzleWithin: { other: '{count} 步内{goal}' },
+	puzzleMovesLeft: { other: '剩余 {count} 步' },
+	puzzlePar: '标准 {par} 步',
+	puzzleStarted: '{name}：{goal}',
+	puzzleEnd: { goal: '谜题完成！', moves: '步数用完', stuck: '无法继续移动' },
+	puzzleResult: { other: '用 {count} 步完成 {stars}' },
+	puzzleBest: { other: '最佳：{count} 步 {stars}' },
+	puzzleNewBest: '刷新本关最佳！',
+	puzzleStars: { other: '{count} 颗星' },
+	puzzleUnsolved: '尚未完成',
+	puzzleLocked: '完成上一关后解锁',
+	puzzleRetry: '重试',
+	puzzleNext: '下一关',
+	puzzleExit: '返回普通模式',
+	puzzleEditLevel: '在编辑器中打开',
+	puzzleNoAi: '谜题中不能使用 AI 辅助。',
+	slotPuzzleBlocked: '谜题不能存入存档栏。',
+	editorTitle: '关卡编辑器',
+	editorName: '名称',
+	editorNamePlaceholder: '关卡名称（可选）',
+	editorPaint: '画笔',
+	editorEraser: '橡皮擦',
+	editorGrid: '关卡棋盘：点击格子进行绘制',
+	editorGoal: '目标',
+	editorGoalTypes: { tile: '合出数字', single: '只剩一张' },
+	editorGoalTile: '目标数字',
+	editorMoves: '步数上限（0 = 不限）',
+	editorPar: '标准步数（★★★）',
+	editorSpawns: '生成脚本',
+	editorSpawnsHelp: '按顺序填写数字，每步一个，例如“3 6@1:4 3”。“数字@行:列”会生成在该格（若已被占用则生成在第一个空格）。留空表示不生成。',
+	editorTest: '试玩',
+	editorClear: '清空棋盘',
+	editorExport: '导出 JSON',
+	editorImport: '导入 JSON',
+	editorPlaceholder: '在此粘贴关卡 JSON',
+	editorImported: '关卡已载入编辑器',
+	puzzleErrors: {
+		format: '这不是有效的关卡 JSON。',
+		name: '名称最多 40 个字符。',
+		size: '棋盘大小须为 {min}–{max}。',
+		tileValue: '基础数字须为正整数。',
+		board: '至少放置一张卡片，且每张卡片须为基础数字翻倍若干次。',
+		spawns: '生成脚本中的数字或格子与棋盘不符。',
+		goal: '请选择大于基础数字、且初始棋盘尚未达成的目标。',
+		par: '标准步数须至少为 1，且不超过步数上限。',
+	},
+	reportOpen: '分析本局',
+	reportTitle: '对局报告',
+	reportChartLabel: '每步之后的最大数字和空格数',
+	reportMaxTile: '最大数字',
+	reportEmpty: '空格数',
+	reportBlunders: '失误',
+	reportBlundersTitle: '最大的失误',
+	reportStop: '停止',
+	reportClose: '关闭报告',
+	reportUnavailable: '无法分析这局游戏。',
+	reportRunning: '正在分析第 {move} / {total} 步…',
+	reportDone: '对局报告已生成',
+	reportStopped: '已在 {total} 步中的第 {move} 步后停止。',
+	reportSummary: '已分析：{moves} 步 · 准确率：{accuracy} · 不精确：{inaccuracies} · 失误：{blunders}',
+	reportMove: '第 {move} 步',
+	reportWaiting: '暂未发现失误…',
+	reportNoBlunders: '没有发现失误，下得漂亮！',
+	reportBlunder: '第 {move} 步：向{played}移动，最佳是向{best}',
+	reportDetail: '空格：{empty} · 单调性扣分：{monotonicity} · 期望值：{played}（最佳 {best}）',
+	reportTry: '从这里重试',
+	reportTrying: '已回到第 {move} 步之前，换个方向试试。',
+	reportStale: '那局游戏已不在棋盘上。',
+	shareImage: '分享图片',
+	shareAsText: '以文字分享',
+	shareHeader: '3072 · {title} · {date}',
+	shareSaved: '图片已保存',
+	shareFailed: '无法分享结果。',
+	profilePlayer: '玩家',
+	profilesTitle: '玩家',
+	profileName: '玩家名称',
+	profileNamePlaceholder: '玩家名称',
+	profileColor: '头像颜色',
+	profileAdd: '添加玩家',
+	profileAdded: '{name} 加入了排行榜',
+	profileDefaultName: '玩家 {n}',
+	profileInvalid: '请输入不超过 {max} 个字符的名称。',
+	profileTaken: '已经有名为 {name} 的玩家。',
+	profileDelete: '移除',
+	profileDeleteLabel: '移除 {name}',
+	profileDeleteConfirm: '移除 {name} 及其所有成绩？',
+	profileSelected: '当前玩家：{name}',
+	profileNewGame: '{name} 的新游戏。第一步之前可以在棋盘上方换成其他玩家。',
+	profileLocked: '只能在第一步之前更换玩家。',
+	leaderboardTitle: '排行榜',
+	leaderboardUnavailable: '排行榜需要浏览器存储（IndexedDB），当前不可用。',
+	leaderboardSaveFailed: '无法将本局保存到排行榜。',
+	leaderboardResults: '成绩',
+	leaderboardMode: '模式',
+	leaderboardAllModes: '全部模式',
+	leaderboardModes: { classic: '经典', daily: '每日', challenge: '挑战', puzzle: '谜题' },
+	leaderboardPeriod: '时间',
+	leaderboardPeriods: { today: '今天', week: '本周', all: '全部' },
+	leaderboardProfile: '玩家',
+	leaderboardAllPlayers: '全部玩家',
+	leaderboardSort: '排序',
+	leaderboardFewestSteps: '最少步数',
+	leaderboardNewest: '最新',
+	leaderboardPlayer: '玩家',
+	leaderboardMaxTile: '最大数字',
+	leaderboardDate: '日期',
+	leaderboardUndo: '撤销',
+	leaderboardUndoYes: '用过',
+	leaderboardUndoNo: '—',
+	leaderboardWon: '获胜',
+	leaderboardEmpty: '暂无符合筛选条件的对局。',
+	leaderboardExport: '导出 CSV',
+	leaderboardExported: { other: '已导出 {count} 条成绩' },
+});
@@ -0,0 +1,92 @@
+'use strict';
+
+// Local multiplayer: runs several engine games at once. In 'versus' every player gets a board
+// from the same seed; in 'hotseat' the players take turns on one shared board and each scores
+// the merges they make. DOM-free like engine.js; exposed as Manager3072 in the page and via
+// require() in Node.
+(function (root, factory) {
+	const engine = typeof module === 'object' && module.exports ? require('./engine.js') : root.Engine3072;
+	const api = factory(engine);
+	if (typeof module === 'object' && module.exports) module.exports = api;
+	else root.Manager3072 = api;
+})(typeof globalThis !== 'undefined' ? globalThis : this, function (Engine) {
+
+	const { Game, Rng } = Engine;
+
+	const MATCH_MODES = Object.freeze(['versus', 'hotseat']);
+
+	class GameManager {
+		// Options: mode, players (at least 2), variant ({ size, tileValue, target, spawnTable }) and
+		// seed; every game starts from the same seed, so versus boards open identically.
+		constructor(options = {}) {
+			this.mode = options.mode || 'versus';
+			if (!MATCH_MODES.includes(this.mode)) throw new Error(`Unknown match mode ${this.mode}`);
+			this.players = Math.max(2, options.players || 2);
+			this.seed = options.seed != null ? options.seed >>> 0 : Rng.randomSeed();
+			const boards = this.mode === 'versus' ? this.players : 1;
+			this.games = Array.from({ length: boards }, () => {
+				const game = new Game({ ...options.variant, seed: this.seed });
+				game.reset();
+				return game;
+			});
+			this.scores = new Array(this.players).fill(0);
+			this.turn = 0; // hot-seat: player to move
+			this.outcome = null; // { winner, reason } once the match is over; winner is null for a draw
+		}
+
+		game(player) {
+			return this.games[this.mode === 'versus' ? player : 0];
+		}
+
+		// Versus players wait out the match once their own board is stuck.
+		canMove(player) {
+			if (this.outcome || player < 0 || player >= this.players) return false;
+			if (this.mode === 'hotseat' && player !== this.turn) return false;
+			return !this.game(player).isOver();
+		}
+
+		// Plays `direction` for `player`. Returns the Game#move result with `player` added, or null when
+		// it is not that player's move or nothing would slide.
+		move(player, direction) {
+			if (!this.canMove(player)) return null;
+			const game = this.game(player);
+			const result = game.move(direction);
+			if (!result.moved) return null;
+			if (this.mode === 'versus') {
+				this.scores[player] = game.score;
+			} else {
+				this.scores[player] += result.score;
+				this.turn = (this.turn + 1) % this.players;
+			}
+			this.outcome = this.decide();
+			return { ...result, player };
+		}
+
+		// Versus: first board to the target wins. Otherwise, once no board can move (or the shared
+		// hot-seat board is won or stuck), the highest score wins.
+		decide() {
+			if (this.mode === 'versus') {
+				const first = this.games.findIndex(g => g.isWon());
+				if (first >= 0) return { winner: first, reason: 'target' };
+				if (!this.games.every(g => g.isOver())) return null;
+				return { winner: this.leader(), reason: 'stuck' };
+			}
+			const game = this.games[0];
+			if (game.isWon()) return { winner: this.leader(), reason: 'target' };
+			if (game.isOver()) return { winner: this.leader(), reason: 'stuck' };
+			return null;
+		}
+
+		// Player with the highest score, or null when the top score is shared.
+		leader() {
+			const best = Math.max(...this.scores);
+			const top = this.scores.filter(s => s === best).length;
+			return top === 1 ? this.scores.indexOf(best) : null;
+		}
+	}
+
+	return {
+		MATCH_MODES,
+		GameManager,
+	};
+});
@@ -0,0 +1,191 @@
+'use strict';
+
+// Puzzle levels: a fixed starting board, a scripted (or empty) spawn list and a goal, played with
+// the normal engine moves. Holds the built-in level pack plus checks and JSON import/export for
+// the level editor. DOM-free like engine.js; exposed as Puzzle3072 in the page and via require()
+// in Node.
+(function (root, factory) {
+	const engine = typeof module === 'object' && module.exports ? require('./engine.js') : root.Engine3072;
+	const api = factory(engine);
+	if (typeof module === 'object' && module.exports) module.exports = api;
+	else root.Puzzle3072 = api;
+})(typeof globalThis !== 'undefined' ? globalThis : this, function (Engine) {
+
+	const { MIN_SIZE, MAX_SIZE, isTileValue, maxTile } = Engine;
+
+	// 'tile': make goal.tile (or more). 'single': merge everything down to one tile. Either goal
+	// may set goal.moves, the most steps allowed.
+	const GOAL_TYPES = Object.freeze(['tile', 'single']);
+	const NAME_MAX = 40;
+	const SPAWNS_MAX = 200;
+
+	// `code` is one of: format, name, size, tileValue, board, spawns, goal, par.
+	class PuzzleError extends Error {
+		constructor(code, message) {
+			super(message);
+			this.name = 'PuzzleError';
+			this.code = code;
+		}
+	}
+
+	// A level is { id?, name?, size, tileValue, board, spawns: [{ value, row?, col? }], goal, par }.
+	// Built-in levels take their names from the locale catalogs (puzzleLevels.<id>). Solving within
+	// `par` steps earns three stars, within two more steps two stars, otherwise one.
+	const LEVELS = Object.freeze([
+		{
+			id: 'firstMerge', size: 3, tileValue: 3,
+			board: [[3, 0, 3], [0, 0, 0], [6, 0, 0]],
+			spawns: [],
+			goal: { type: 'tile', tile: 12, moves: 3 }, par: 2,
+		},
+		{
+			id: 'oneLeft', size: 3, tileValue: 3,
+			board: [[3, 3, 0], [6, 0, 0], [12, 0, 0]],
+			spawns: [],
+			goal: { type: 'single', moves: 5 }, par: 3,
+		},
+		{
+			id: 'staircase', size: 4, tileValue: 3,
+			board: [[3, 3, 6, 12], [0, 0, 0, 0], [0, 0, 0, 0], [0, 0, 0, 24]],
+			spawns: [],
+			goal: { type: 'tile', tile: 48, moves: 6 }, par: 4,
+		},
+		{
+			id: 'tidyUp', size: 4, tileValue: 3,
+			board: [[3, 0, 0, 3], [0, 6, 0, 0], [0, 12, 0, 0], [24, 0, 0, 0]],
+			spawns: [],
+			goal: { type: 'single', moves: 6 }, par: 4,
+		},
+		{
+			id: 'incoming', size: 4, tileValue: 3,
+			board: [[6, 0, 0, 0], [0, 0, 0, 0], [0, 0, 0, 0], [0, 0, 0, 6]],
+			spawns: [{ value: 3, row: 0, col: 3 }, { value: 3, row: 3, col: 0 }, { value: 6, row: 0, col: 0 }, { value: 12, row: 3, col: 3 }],
+			goal: { type: 'tile', tile: 24, moves: 7 }, par: 5,
+		},
+		{
+			id: 'bigBoard', size: 5, tileValue: 3,
+			board: [[48, 24, 12, 0, 0], [0, 0, 0, 0, 0], [0, 0, 6, 0, 0], [0, 0, 0, 0, 0], [0, 0, 0, 0, 3]],
+			spawns: [{ value: 3 }, { value: 3 }, { value: 3 }, { value: 3 }, { value: 3 }, { value: 3 }],
+			goal: { type: 'tile', tile: 96, moves: 10 }, par: 6,
+		},
+		{
+			id: 'crowded', size: 4, tileValue: 3,
+			board: [[3, 6, 12, 3], [6, 12, 3, 6], [12, 3, 6, 12], [0, 0, 0, 0]],
+			spawns: [{ value: 3 }, { value: 3 }, { value: 3 }, { value: 3 }, { value: 3 }, { value: 3 }, { value: 3 }, { value: 3 }, { value: 3 }, { value: 3 }],
+			goal: { type: 'tile', tile: 48, moves: 10 }, par: 7,
+		},
+		{
+			id: 'finale', size: 5, tileValue: 3,
+			board: [[3, 0, 0, 0, 3], [0, 0, 0, 0, 0], [0, 0, 6, 0, 0], [0, 0, 0, 0, 0], [48, 0, 12, 0, 24]],
+			spawns: [],
+			goal: { type: 'single', moves: 8 }, par: 5,
+		},
+	].map(level => Object.freeze(level)));
+
+	function tileCount(board) {
+		return board.reduce((n, row) => n + row.filter(v => v !== 0).length, 0);
+	}
+
+	function goalMet(level, board) {
+		return level.goal.type === 'tile' ? maxTile(board) >= level.goal.tile : tileCount(board) === 1;
+	}
+
+	// Returns a list of problems with a level; empty means it can be played.
+	function validateLevel(level) {
+		const errors = [];
+		const { size, tileValue, board, spawns, goal } = level;
+		if (level.name != null && (typeof level.name !== 'string' || level.name.length > NAME_MAX)) errors.push('name');
+		if (!Number.isInteger(size) || size < MIN_SIZE || size > MAX_SIZE) errors.push('size');
+		if (!Number.isInteger(tileValue) || tileValue < 1) errors.push('tileValue');
+		if (errors.length) return errors;
+		const validBoard = Array.isArray(board) && board.length === size
+			&& board.every(row => Array.isArray(row) && row.length === size && row.every(v => v === 0 || isTileValue(v, tileValue)));
+		if (!validBoard || tileCount(board) === 0) errors.push('board');
+		const inRange = n => Number.isInteger(n) && n >= 0 && n < size;
+		const validSpawn = e => e && isTileValue(e.value, tileValue) && (e.row == null ? e.col == null : inRange(e.row) && inRange(e.col));
+		if (!Array.isArray(spawns) || spawns.length > SPAWNS_MAX || !spawns.every(validSpawn)) errors.push('spawns');
+		const validGoal = goal && GOAL_TYPES.includes(goal.type)
+			&& (goal.type !== 'tile' || (isTileValue(goal.tile, tileValue) && goal.tile > tileValue))
+			&& (goal.moves == null || (Number.isInteger(goal.moves) && goal.moves >= 1));
+		if (!validGoal || (validBoard && goalMet(level, board))) errors.push('goal');
+		else if (!Number.isInteger(level.par) || level.par < 1 || (goal.moves != null && level.par > goal.moves)) errors.push('par');
+		return errors;
+	}
+
+	// Keeps only the level fields, so exports and imports never carry anything else.
+	function normalizeLevel(level) {
+		const out = {
+			size: level.size,
+			tileValue: level.tileValue,
+			board: level.board,
+			spawns: Array.isArray(level.spawns) ? level.spawns.map(e => (e && e.row != null ? { value: e.value, row: e.row, col: e.col } : { value: e && e.value })) : level.spawns,
+			goal: level.goal && (level.goal.type === 'tile' ? { type: 'tile', tile: level.goal.tile } : { type: level.goal.type }),
+			par: level.par,
+		};
+		if (level.name) out.name = level.name;
+		if (out.goal && level.goal.moves != null) out.goal.moves = level.goal.moves;
+		return out;
+	}
+
+	function exportLevel(level) {
+		return JSON.stringify(normalizeLevel(level));
+	}
+
+	// Level JSON from the editor or a file. Throws PuzzleError naming the first problem.
+	function parseLevel(text) {
+		let data;
+		try {
+			data = JSON.parse(String(text || ''));
+		} catch (_) {
+			throw new PuzzleError('format', 'Level is not valid JSON');
+		}
+		if (!data || typeof data !== 'object' || Array.isArray(data)) throw new PuzzleError('format', 'Level is not a JSON object');
+		const level = normalizeLevel(data);
+		const errors = validateLevel(level);
+		if (errors.length) throw new PuzzleError(errors[0], `Level has an invalid ${errors[0]}`);
+		return level;
+	}
+
+	// Spawn scripts as typed in the editor: values separated by spaces or commas, each optionally
+	// pinned to a 1-based cell as value@row:col, e.g. "3 6@1:4 3". Returns null when unreadable.
+	function parseSpawnScript(text) {
+		const tokens = String(text || '').split(/[\s,]+/).filter(Boolean);
+		const spawns = [];
+		for (const token of tokens) {
+			const m = /^(\d+)(?:@(\d+):(\d+))?$/.exec(token);
+			if (!m) return null;
+			spawns.push(m[2] ? { value: Number(m[1]), row: Number(m[2]) - 1, col: Number(m[3]) - 1 } : { value: Number(m[1]) });
+		}
+		return spawns;
+	}
+
+	function formatSpawnScript(spawns) {
+		return spawns.map(e => (e.row != null ? `${e.value}@${e.row + 1}:${e.col + 1}` : String(e.value))).join(' ');
+	}
+
+	// A run is { board, moveCount, over }. Returns null while the puzzle goes on, else { won, reason }.
+	function outcome(level, run) {
+		if (goalMet(level, run.board)) return { won: true, reason: 'goal' };
+		if (level.goal.moves != null && run.moveCount >= level.goal.moves) return { won: false, reason: 'moves' };
+		if (run.over) return { won: false, reason: 'stuck' };
+		return null;
+	}
+
+	function stars(level, steps) {
+		if (steps <= level.par) return 3;
+		return steps <= level.par + 2 ? 2 : 1;
+	}
+
+	return {
+		GOAL_TYPES,
+		LEVELS,
+		PuzzleError,
+		validateLevel,
+		exportLevel,
+		parseLevel,
+		parseSpawnScript,
+		formatSpawnScript,
+		outcome,
+		stars,
+	};
+});
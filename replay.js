@@ -0,0 +1,179 @@
+'use strict';
+
+// Game recordings: capture, compact export/import and verified playback timelines.
+// DOM-free like engine.js; exposed as Replay3072 in the page and via require() in Node.
+(function (root, factory) {
+	const engine = typeof module === 'object' && module.exports ? require('./engine.js') : root.Engine3072;
+	const api = factory(engine);
+	if (typeof module === 'object' && module.exports) module.exports = api;
+	else root.Replay3072 = api;
+})(typeof globalThis !== 'undefined' ? globalThis : this, function (Engine) {
+
+	const { Game, Direction, isTileValue, isSpecialTile, validateVariant } = Engine;
+
+	const FORMAT_PREFIX = '3072r1.';
+	const DIR_CODES = Object.freeze({ [Direction.Up]: 'U', [Direction.Down]: 'D', [Direction.Left]: 'L', [Direction.Right]: 'R' });
+	const CODE_DIRS = Object.freeze({ U: Direction.Up, D: Direction.Down, L: Direction.Left, R: Direction.Right });
+
+	// `code` is one of: format, variant, board, illegal, spawn. `moveIndex` is 0-based when set.
+	class ReplayError extends Error {
+		constructor(code, message, moveIndex = null) {
+			super(message);
+			this.name = 'ReplayError';
+			this.code = code;
+			this.moveIndex = moveIndex;
+		}
+	}
+
+	// Starts a recording from the game's current state (normally right after reset()).
+	function createReplay(game) {
+		const snap = game.snapshot();
+		return {
+			size: snap.size,
+			tileValue: snap.tileValue,
+			target: snap.target,
+			spawnTable: snap.spawnTable,
+			...(snap.specials && { specials: snap.specials }),
+			...(snap.spawnScript && { spawnScript: snap.spawnScript }),
+			seed: snap.seed,
+			rngState: snap.rngState,
+			board: snap.board,
+			moves: [],
+		};
+	}
+
+	// Appends one valid move; `spawned` comes from Game#move and is resolved to values on `board`.
+	function recordMove(replay, direction, spawned, board) {
+		replay.moves.push({ direction, spawned: spawned.map(([r, c]) => [r, c, board[r][c]]) });
+	}
+
+	function toBase64Url(text) {
+		const bytes = unescape(encodeURIComponent(text));
+		return btoa(bytes).replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+	}
+
+	function fromBase64Url(text) {
+		const b64 = text.replace(/-/g, '+').replace(/_/g, '/');
+		return decodeURIComponent(escape(atob(b64 + '='.repeat((4 - (b64.length % 4)) % 4))));
+	}
+
+	// Compact, URL-safe string: prefix + base64url(JSON) with short keys and a flat board.
+	function encodeReplay(replay) {
+		const size = replay.size;
+		const spawns = [];
+		for (const m of replay.moves) {
+			const s = m.spawned[0];
+			if (s) spawns.push(s[0] * size + s[1], s[2]);
+			else spawns.push(-1, 0);
+		}
+		const data = {
+			n: size,
+			b: replay.tileValue,
+			t: replay.target,
+			p: replay.spawnTable.map(e => [e.value, e.weight]),
+			...(replay.specials && { k: replay.specials }),
+			...(replay.spawnScript && { q: replay.spawnScript.map(e => (e.row != null ? [e.value, e.row, e.col] : [e.value])) }),
+			s: replay.seed,
+			r: replay.rngState,
+			g: [].concat(...replay.board),
+			m: replay.moves.map(m => DIR_CODES[m.direction]).join(''),
+			x: spawns,
+		};
+		return FORMAT_PREFIX + toBase64Url(JSON.stringify(data));
+	}
+
+	// Parses an exported string (or a URL containing `#replay=`). Throws ReplayError on malformed input;
+	// use buildTimeline() to also check that every move is legal.
+	function decodeReplay(text) {
+		let str = String(text || '').trim();
+		const hashAt = str.indexOf('replay=');
+		if (hashAt >= 0) str = str.slice(hashAt + 'replay='.length);
+		if (!str.startsWith(FORMAT_PREFIX)) throw new ReplayError('format', 'Not a 3072 replay string');
+		let data;
+		try {
+			data = JSON.parse(fromBase64Url(str.slice(FORMAT_PREFIX.length)));
+		} catch (_) {
+			throw new ReplayError('format', 'Replay data is corrupted');
+		}
+		if (!data || typeof data !== 'object' || typeof data.m !== 'string' || !Array.isArray(data.g) || !Array.isArray(data.x) || !Array.isArray(data.p)) {
+			throw new ReplayError('format', 'Replay data is incomplete');
+		}
+		const size = data.n;
+		const variant = {
+			size,
+			tileValue: data.b,
+			target: data.t,
+			spawnTable: data.p.map(e => ({ value: Array.isArray(e) ? e[0] : NaN, weight: Array.isArray(e) ? e[1] : NaN })),
+		};
+		if (data.k != null) variant.specials = data.k;
+		if (validateVariant(variant).length) throw new ReplayError('variant', 'Replay uses an invalid game variant');
+		const validValue = v => v === 0 || isTileValue(v, variant.tileValue) || (!!variant.specials && isSpecialTile(v));
+		if (data.q != null) {
+			if (!Array.isArray(data.q) || !data.q.every(e => Array.isArray(e) && isTileValue(e[0], variant.tileValue))) {
+				throw new ReplayError('variant', 'Replay spawn script is invalid');
+			}
+			variant.spawnScript = data.q.map(([value, row, col]) => (row != null ? { value, row, col } : { value }));
+		}
+		if (data.g.length !== size * size || !data.g.every(validValue)) {
+			throw new ReplayError('board', 'Replay starting board is invalid');
+		}
+		if (data.x.length !== data.m.length * 2) throw new ReplayError('format', 'Replay spawn list does not match its moves');
+		const board = [];
+		for (let r = 0; r < size; r++) board.push(data.g.slice(r * size, (r + 1) * size));
+		const moves = [];
+		for (let i = 0; i < data.m.length; i++) {
+			const direction = CODE_DIRS[data.m[i]];
+			if (!direction) throw new ReplayError('format', `Unknown direction at move ${i + 1}`, i);
+			const idx = data.x[i * 2];
+			const spawned = idx >= 0 ? [[Math.floor(idx / size), idx % size, data.x[i * 2 + 1]]] : [];
+			moves.push({ direction, spawned });
+		}
+		return {
+			...variant,
+			seed: Number.isInteger(data.s) ? data.s >>> 0 : 0,
+			rngState: Number(data.r) >>> 0,
+			board,
+			moves,
+		};
+	}
+
+	// Replays every move under the engine rules. Returns frames[0..n] (state after i moves) and
+	// events[0..n-1] (move results); throws ReplayError at the first illegal move or mismatched spawn.
+	function buildTimeline(replay) {
+		const game = new Game({
+			size: replay.size,
+			tileValue: replay.tileValue,
+			target: replay.target,
+			spawnTable: replay.spawnTable,
+			specials: replay.specials,
+			spawnScript: replay.spawnScript,
+			seed: replay.seed,
+			rngState: replay.rngState,
+			board: replay.board,
+		});
+		const frames = [game.snapshot()];
+		const events = [];
+		replay.moves.forEach((m, i) => {
+			const result = game.move(m.direction);
+			if (!result.moved) throw new ReplayError('illegal', `Move ${i + 1} (${m.direction}) is not a legal move`, i);
+			const expected = m.spawned[0];
+			const actual = result.spawned[0];
+			const same = expected && actual
+				? expected[0] === actual[0] && expected[1] === actual[1] && expected[2] === game.board[actual[0]][actual[1]]
+				: !expected && !actual;
+			if (!same) throw new ReplayError('spawn', `Move ${i + 1} spawned a different tile than recorded`, i);
+			frames.push(game.snapshot());
+			events.push(result);
+		});
+		return { frames, events };
+	}
+
+	return {
+		ReplayError,
+		createReplay,
+		recordMove,
+		encodeReplay,
+		decodeReplay,
+		buildTimeline,
+	};
+});
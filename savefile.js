@@ -0,0 +1,131 @@
+'use strict';
+
+// Versioned save format: parsing, migration of older saves and validation.
+// DOM-free like engine.js; exposed as Save3072 in the page and via require() in Node.
+(function (root, factory) {
+	const engine = typeof module === 'object' && module.exports ? require('./engine.js') : root.Engine3072;
+	const api = factory(engine);
+	if (typeof module === 'object' && module.exports) module.exports = api;
+	else root.Save3072 = api;
+})(typeof globalThis !== 'undefined' ? globalThis : this, function (Engine) {
+
+	const { DEFAULTS, DIRECTIONS, isTileValue, isSpecialTile, validateVariant } = Engine;
+
+	// 1: unversioned saves ({ board, moveCount, ... }) written before this module existed.
+	// 2: adds `version` and always carries the variant fields.
+	const SAVE_VERSION = 2;
+
+	// `code` is one of: parse, version, variant, board, values, moveCount, score, impossible.
+	class SaveError extends Error {
+		constructor(code, message) {
+			super(message);
+			this.name = 'SaveError';
+			this.code = code;
+		}
+	}
+
+	// MIGRATIONS[n] upgrades a version-n save to version n + 1.
+	const MIGRATIONS = {
+		1(data) {
+			const size = Array.isArray(data.board) ? data.board.length : DEFAULTS.size;
+			const tileValue = data.tileValue != null ? data.tileValue : DEFAULTS.tileValue;
+			return {
+				...data,
+				version: 2,
+				size: data.size != null ? data.size : size,
+				target: data.target != null ? data.target : DEFAULTS.target,
+				tileValue,
+				spawnTable: data.spawnTable || [{ value: tileValue, weight: 1 }],
+				moveCount: data.moveCount != null ? data.moveCount : 0,
+				score: data.score != null ? data.score : 0,
+			};
+		},
+	};
+
+	function migrateSave(data) {
+		let out = data;
+		let version = out.version == null ? 1 : out.version;
+		if (!Number.isInteger(version) || version < 1) throw new SaveError('version', `Unknown save version ${version}`);
+		if (version > SAVE_VERSION) throw new SaveError('version', `Save version ${version} is newer than ${SAVE_VERSION}`);
+		while (version < SAVE_VERSION) {
+			out = MIGRATIONS[version](out);
+			version = out.version;
+		}
+		return out;
+	}
+
+	// Special tile codes are only valid in games played with the special ruleset.
+	function isSpawnValue(v, tileValue, specials) {
+		return isTileValue(v, tileValue) || (!!specials && isSpecialTile(v));
+	}
+
+	function isValidBoard(board, size, tileValue, specials) {
+		const validValue = v => v === 0 || isSpawnValue(v, tileValue, specials);
+		return Array.isArray(board) && board.length === size
+			&& board.every(row => Array.isArray(row) && row.length === size && row.every(validValue));
+	}
+
+	function isUint32(n) {
+		return Number.isInteger(n) && n >= 0 && n <= 0xFFFFFFFF;
+	}
+
+	// Checks a current-version save. Throws SaveError for anything that could break rendering or
+	// could not have come from real play; returns the data with unusable optional fields dropped.
+	function validateSave(data) {
+		if (validateVariant(data).length) throw new SaveError('variant', 'Save has invalid game settings');
+		const { size, tileValue, board, specials } = data;
+		if (!Array.isArray(board) || board.length !== size || board.some(row => !Array.isArray(row) || row.length !== size)) {
+			throw new SaveError('board', `Board is not ${size}×${size}`);
+		}
+		if (!isValidBoard(board, size, tileValue, specials)) {
+			throw new SaveError('values', `Board has values that are not 0 or ${tileValue}×2^n`);
+		}
+		if (!Number.isInteger(data.moveCount) || data.moveCount < 0) throw new SaveError('moveCount', 'Step count is not a non-negative integer');
+		if (!Number.isInteger(data.score) || data.score < 0) throw new SaveError('score', 'Score is not a non-negative integer');
+		// Tiles only enter the board by spawning: two at the start plus one per step. Wildcard merges
+		// double a number out of nothing, so the bound does not hold with wildcards in play.
+		const maxSpawn = Math.max(...data.spawnTable.map(e => e.value));
+		const sum = board.reduce((acc, row) => acc + row.reduce((a, v) => a + Math.max(0, v), 0), 0);
+		if (!(specials && specials.wildcard) && sum > (data.moveCount + 2) * maxSpawn) throw new SaveError('impossible', 'Board holds more than the steps could have spawned');
+
+		const out = { ...data };
+		if (out.seed != null && !isUint32(out.seed)) delete out.seed;
+		if (out.rngState != null && !isUint32(out.rngState)) delete out.rngState;
+		const history = out.history;
+		const validEntry = (e) => e && isValidBoard(e.board, size, tileValue, specials) && Number.isInteger(e.moveCount) && isUint32(e.rngState);
+		const validLimit = n => n == null || (Number.isInteger(n) && n >= 0);
+		if (history != null && !(history && Array.isArray(history.past) && Array.isArray(history.future)
+			&& history.past.every(validEntry) && history.future.every(validEntry) && validLimit(history.undoLimit))) delete out.history;
+		const replay = out.replay;
+		const inBoard = n => Number.isInteger(n) && n >= 0 && n < size;
+		const validMove = m => m && DIRECTIONS.includes(m.direction) && Array.isArray(m.spawned)
+			&& m.spawned.every(s => Array.isArray(s) && inBoard(s[0]) && inBoard(s[1]) && isSpawnValue(s[2], tileValue, specials));
+		if (replay != null && !(replay && Array.isArray(replay.moves) && replay.moves.every(validMove)
+			&& isValidBoard(replay.board, size, tileValue, specials))) delete out.replay;
+		const run = out.run;
+		const isId = id => id == null || (Number.isInteger(id) && id > 0);
+		if (run != null && !(run && typeof run === 'object' && isId(run.profileId) && isId(run.resultId)
+			&& typeof run.undoUsed === 'boolean' && typeof run.won === 'boolean')) delete out.run;
+		return out;
+	}
+
+	// Raw localStorage string -> validated current-version save. Throws SaveError.
+	function parseSave(raw) {
+		let data;
+		try {
+			data = JSON.parse(raw);
+		} catch (_) {
+			throw new SaveError('parse', 'Save is not valid JSON');
+		}
+		if (!data || typeof data !== 'object' || Array.isArray(data)) throw new SaveError('parse', 'Save is not an object');
+		return validateSave(migrateSave(data));
+	}
+
+	return {
+		SAVE_VERSION,
+		SaveError,
+		migrateSave,
+		validateSave,
+		parseSave,
+	};
+});
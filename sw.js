@@ -0,0 +1,58 @@
+'use strict';
+
+// Offline support: precaches the app shell and serves it cache-first. Bump CACHE_VERSION on every
+// deploy; the page then sees a waiting worker and offers to reload (see registerServiceWorker in app.js).
+const CACHE_VERSION = 'v15';
+const CACHE_NAME = `game-3072-${CACHE_VERSION}`;
+const PRECACHE = [
+	'./',
+	'index.html',
+	'styles.css',
+	'app.js',
+	'engine.js',
+	'replay.js',
+	'savefile.js',
+	'manager.js',
+	'challenge.js',
+	'puzzle.js',
+	'leaderboard.js',
+	'i18n.js',
+	'locales/en.js',
+	'locales/zh.js',
+	'locales/ja.js',
+	'locales/es.js',
+	'ai.js',
+	'ai-worker.js',
+	'manifest.webmanifest',
+	'assets/logo.png.png',
+];
+
+self.addEventListener('install', (event) => {
+	event.waitUntil(caches.open(CACHE_NAME).then(cache => cache.addAll(PRECACHE)));
+});
+
+self.addEventListener('activate', (event) => {
+	event.waitUntil(
+		caches.keys()
+			.then(keys => Promise.all(keys.filter(k => k.startsWith('game-3072-') && k !== CACHE_NAME).map(k => caches.delete(k))))
+			.then(() => self.clients.claim())
+	);
+});
+
+// Sent by the page when the player accepts the update prompt
+self.addEventListener('message', (event) => {
+	if (event.data && event.data.type === 'SKIP_WAITING') self.skipWaiting();
+});
+
+self.addEventListener('fetch', (event) => {
+	const { request } = event;
+	const url = new URL(request.url);
+	// Analytics and other third-party requests go straight to the network
+	if (request.method !== 'GET' || url.origin !== self.location.origin) return;
+	if (request.mode === 'navigate') {
+		// Ignore the query and hash so shared replay links still open offline
+		event.respondWith(caches.match('index.html').then(cached => cached || fetch(request)));
+		return;
+	}
+	event.respondWith(caches.match(request, { ignoreSearch: true }).then(cached => cached || fetch(request)));
+});